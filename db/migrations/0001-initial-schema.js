@@ -0,0 +1,313 @@
+/**
+ * The schema as it stood when migrations were introduced, previously built by `sync({ force: true })`.
+ * Migrations are frozen: they describe the schema at their point in history, never import src/model.js.
+ */
+
+const id = (Sequelize) => ({
+  type: Sequelize.INTEGER,
+  primaryKey: true,
+  autoIncrement: true,
+  allowNull: false,
+});
+
+const timestamps = (Sequelize) => ({
+  createdAt: { type: Sequelize.DATE, allowNull: false },
+  updatedAt: { type: Sequelize.DATE, allowNull: false },
+});
+
+/**
+ * @returns a foreign key to `table`, nullable ones are set to null when their row is deleted, others deleted with it
+ */
+const reference = (Sequelize, table, { allowNull = true, unique } = {}) => ({
+  type: Sequelize.INTEGER,
+  allowNull,
+  unique,
+  references: { model: table, key: "id" },
+  onUpdate: "CASCADE",
+  onDelete: allowNull ? "SET NULL" : "CASCADE",
+});
+
+const amount = (Sequelize, options) => ({
+  type: Sequelize.DECIMAL(12, 2),
+  allowNull: false,
+  ...options,
+});
+
+const currency = (Sequelize) => ({
+  type: Sequelize.STRING(3),
+  allowNull: false,
+  defaultValue: "USD",
+});
+
+// Parents before children, `down` drops them the other way round
+const tables = (Sequelize) => ({
+  Profiles: {
+    id: id(Sequelize),
+    firstName: { type: Sequelize.STRING, allowNull: false },
+    lastName: { type: Sequelize.STRING, allowNull: false },
+    profession: { type: Sequelize.STRING, allowNull: false },
+    balance: { type: Sequelize.DECIMAL(12, 2) },
+    type: { type: Sequelize.ENUM("client", "contractor", "admin") },
+    tier: {
+      type: Sequelize.STRING,
+      allowNull: false,
+      defaultValue: "standard",
+    },
+    ...timestamps(Sequelize),
+  },
+  Contracts: {
+    id: id(Sequelize),
+    terms: { type: Sequelize.TEXT, allowNull: false },
+    status: { type: Sequelize.ENUM("new", "in_progress", "terminated") },
+    currency: currency(Sequelize),
+    escrow: amount(Sequelize, { defaultValue: 0 }),
+    billingInterval: { type: Sequelize.ENUM("week", "month") },
+    billingAmount: { type: Sequelize.DECIMAL(12, 2) },
+    billingAutoPay: {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    },
+    billingStartAt: { type: Sequelize.DATE },
+    nextBillingAt: { type: Sequelize.DATE },
+    ...timestamps(Sequelize),
+    ContractorId: reference(Sequelize, "Profiles"),
+    ClientId: reference(Sequelize, "Profiles"),
+  },
+  Jobs: {
+    id: id(Sequelize),
+    description: { type: Sequelize.TEXT, allowNull: false },
+    price: amount(Sequelize),
+    paid: { type: Sequelize.BOOLEAN },
+    amountPaid: amount(Sequelize, { defaultValue: 0 }),
+    amountRefunded: amount(Sequelize, { defaultValue: 0 }),
+    paymentDate: { type: Sequelize.DATE },
+    status: {
+      type: Sequelize.ENUM(
+        "draft",
+        "submitted",
+        "approved",
+        "rejected",
+        "paid",
+        "refunded"
+      ),
+      allowNull: false,
+      defaultValue: "draft",
+    },
+    ...timestamps(Sequelize),
+    ContractId: reference(Sequelize, "Contracts"),
+  },
+  Payments: {
+    id: id(Sequelize),
+    amount: amount(Sequelize),
+    currency: currency(Sequelize),
+    fromEscrow: amount(Sequelize, { defaultValue: 0 }),
+    sourceCurrency: currency(Sequelize),
+    sourceAmount: amount(Sequelize),
+    fxRate: {
+      type: Sequelize.DECIMAL(18, 8),
+      allowNull: false,
+      defaultValue: 1,
+    },
+    ...timestamps(Sequelize),
+    JobId: reference(Sequelize, "Jobs", { allowNull: false }),
+    ProfileId: reference(Sequelize, "Profiles", { allowNull: false }),
+  },
+  Refunds: {
+    id: id(Sequelize),
+    amount: amount(Sequelize),
+    reason: { type: Sequelize.TEXT, allowNull: false },
+    ...timestamps(Sequelize),
+    JobId: reference(Sequelize, "Jobs", { allowNull: false }),
+    ProfileId: reference(Sequelize, "Profiles", { allowNull: false }),
+  },
+  Invoices: {
+    id: id(Sequelize),
+    sequence: { type: Sequelize.INTEGER, allowNull: false },
+    number: { type: Sequelize.STRING, allowNull: false, unique: true },
+    issuedAt: { type: Sequelize.DATE, allowNull: false },
+    currency: currency(Sequelize),
+    total: amount(Sequelize),
+    lineItems: { type: Sequelize.JSON, allowNull: false },
+    client: { type: Sequelize.JSON, allowNull: false },
+    contractor: { type: Sequelize.JSON, allowNull: false },
+    ...timestamps(Sequelize),
+    PaymentId: reference(Sequelize, "Payments", {
+      allowNull: false,
+      unique: true,
+    }),
+    JobId: reference(Sequelize, "Jobs", { allowNull: false }),
+    ContractorId: reference(Sequelize, "Profiles", { allowNull: false }),
+    ClientId: reference(Sequelize, "Profiles", { allowNull: false }),
+  },
+  Disputes: {
+    id: id(Sequelize),
+    reason: { type: Sequelize.TEXT, allowNull: false },
+    status: {
+      type: Sequelize.ENUM("open", "resolved"),
+      allowNull: false,
+      defaultValue: "open",
+    },
+    resolution: { type: Sequelize.ENUM("pay", "refund", "split") },
+    contractorAmount: { type: Sequelize.DECIMAL(12, 2) },
+    note: { type: Sequelize.TEXT },
+    resolvedAt: { type: Sequelize.DATE },
+    ...timestamps(Sequelize),
+    JobId: reference(Sequelize, "Jobs", { allowNull: false }),
+    OpenedById: reference(Sequelize, "Profiles", { allowNull: false }),
+    ResolvedById: reference(Sequelize, "Profiles"),
+  },
+  DisputeMessages: {
+    id: id(Sequelize),
+    body: { type: Sequelize.TEXT, allowNull: false },
+    ...timestamps(Sequelize),
+    DisputeId: reference(Sequelize, "Disputes", { allowNull: false }),
+    AuthorId: reference(Sequelize, "Profiles", { allowNull: false }),
+  },
+  BillingCycles: {
+    id: id(Sequelize),
+    periodStart: { type: Sequelize.DATE, allowNull: false },
+    status: {
+      type: Sequelize.ENUM("billed", "paid", "skipped"),
+      allowNull: false,
+      defaultValue: "billed",
+    },
+    failureReason: { type: Sequelize.STRING },
+    ...timestamps(Sequelize),
+    ContractId: reference(Sequelize, "Contracts", { allowNull: false }),
+    JobId: reference(Sequelize, "Jobs", { allowNull: false }),
+  },
+  Credentials: {
+    id: id(Sequelize),
+    username: { type: Sequelize.STRING, allowNull: false, unique: true },
+    passwordHash: { type: Sequelize.STRING, allowNull: false },
+    ...timestamps(Sequelize),
+    ProfileId: reference(Sequelize, "Profiles", { allowNull: false }),
+  },
+  LedgerEntries: {
+    id: id(Sequelize),
+    entryGroup: { type: Sequelize.UUID, allowNull: false },
+    type: {
+      type: Sequelize.ENUM(
+        "opening_balance",
+        "deposit",
+        "payment",
+        "refund",
+        "withdrawal",
+        "withdrawal_reversal",
+        "escrow_funding",
+        "escrow_release"
+      ),
+      allowNull: false,
+    },
+    side: { type: Sequelize.ENUM("debit", "credit"), allowNull: false },
+    amount: amount(Sequelize),
+    currency: currency(Sequelize),
+    ...timestamps(Sequelize),
+    ProfileId: reference(Sequelize, "Profiles"),
+    ContractId: reference(Sequelize, "Contracts"),
+    JobId: reference(Sequelize, "Jobs"),
+  },
+  Balances: {
+    id: id(Sequelize),
+    currency: { type: Sequelize.STRING(3), allowNull: false },
+    amount: amount(Sequelize, { defaultValue: 0 }),
+    ...timestamps(Sequelize),
+    ProfileId: reference(Sequelize, "Profiles", { allowNull: false }),
+  },
+  Payouts: {
+    id: id(Sequelize),
+    amount: amount(Sequelize),
+    status: {
+      type: Sequelize.ENUM(
+        "pending",
+        "processing",
+        "paid",
+        "failed",
+        "cancelled"
+      ),
+      allowNull: false,
+      defaultValue: "pending",
+    },
+    currency: currency(Sequelize),
+    providerReference: { type: Sequelize.STRING },
+    failureReason: { type: Sequelize.STRING },
+    ...timestamps(Sequelize),
+    ProfileId: reference(Sequelize, "Profiles", { allowNull: false }),
+  },
+  AuditEvents: {
+    id: id(Sequelize),
+    action: { type: Sequelize.STRING, allowNull: false },
+    targetType: { type: Sequelize.STRING, allowNull: false },
+    targetId: { type: Sequelize.INTEGER, allowNull: false },
+    before: { type: Sequelize.JSON },
+    after: { type: Sequelize.JSON },
+    requestId: { type: Sequelize.STRING },
+    ...timestamps(Sequelize),
+    ActorId: reference(Sequelize, "Profiles"),
+  },
+  WebhookSubscriptions: {
+    id: id(Sequelize),
+    url: { type: Sequelize.STRING, allowNull: false },
+    events: { type: Sequelize.JSON, allowNull: false },
+    secret: { type: Sequelize.STRING, allowNull: false },
+    active: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: true },
+    ...timestamps(Sequelize),
+  },
+  WebhookEvents: {
+    id: id(Sequelize),
+    type: { type: Sequelize.STRING, allowNull: false },
+    data: { type: Sequelize.JSON, allowNull: false },
+    ...timestamps(Sequelize),
+  },
+  WebhookDeliveries: {
+    id: id(Sequelize),
+    status: {
+      type: Sequelize.ENUM("pending", "delivered", "dead"),
+      allowNull: false,
+      defaultValue: "pending",
+    },
+    attempts: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+    nextAttemptAt: { type: Sequelize.DATE },
+    deliveredAt: { type: Sequelize.DATE },
+    responseStatus: { type: Sequelize.INTEGER },
+    lastError: { type: Sequelize.STRING },
+    ...timestamps(Sequelize),
+    WebhookEventId: reference(Sequelize, "WebhookEvents", { allowNull: false }),
+    WebhookSubscriptionId: reference(Sequelize, "WebhookSubscriptions", {
+      allowNull: false,
+    }),
+  },
+  IdempotencyKeys: {
+    id: id(Sequelize),
+    key: { type: Sequelize.STRING, allowNull: false, unique: true },
+    fingerprint: { type: Sequelize.STRING, allowNull: false },
+    responseStatus: { type: Sequelize.INTEGER },
+    responseType: { type: Sequelize.STRING },
+    responseBody: { type: Sequelize.TEXT },
+    ...timestamps(Sequelize),
+  },
+});
+
+const indexes = [
+  ["Invoices", ["ContractorId", "sequence"]],
+  ["BillingCycles", ["ContractId", "periodStart"]],
+  ["Balances", ["ProfileId", "currency"]],
+];
+
+module.exports = {
+  up: async ({ queryInterface, Sequelize, transaction }) => {
+    for (const [table, attributes] of Object.entries(tables(Sequelize)))
+      await queryInterface.createTable(table, attributes, { transaction });
+    for (const [table, fields] of indexes)
+      await queryInterface.addIndex(table, fields, {
+        unique: true,
+        transaction,
+      });
+  },
+
+  down: async ({ queryInterface, Sequelize, transaction }) => {
+    for (const table of Object.keys(tables(Sequelize)).reverse())
+      await queryInterface.dropTable(table, { transaction });
+  },
+};
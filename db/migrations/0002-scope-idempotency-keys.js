@@ -0,0 +1,57 @@
+/**
+ * Scopes idempotency keys to the profile that sent them: `(ProfileId, key)` is unique instead of `key`.
+ * SQLite can't drop the unique constraint of a column, so the table is rebuilt. Stored keys only
+ * replay retries of recent requests and are dropped with it.
+ */
+
+const columns = (Sequelize) => ({
+  id: {
+    type: Sequelize.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    allowNull: false,
+  },
+  fingerprint: { type: Sequelize.STRING, allowNull: false },
+  responseStatus: { type: Sequelize.INTEGER },
+  responseType: { type: Sequelize.STRING },
+  responseBody: { type: Sequelize.TEXT },
+  createdAt: { type: Sequelize.DATE, allowNull: false },
+  updatedAt: { type: Sequelize.DATE, allowNull: false },
+});
+
+module.exports = {
+  up: async ({ queryInterface, Sequelize, transaction }) => {
+    await queryInterface.dropTable("IdempotencyKeys", { transaction });
+    await queryInterface.createTable(
+      "IdempotencyKeys",
+      {
+        ...columns(Sequelize),
+        key: { type: Sequelize.STRING, allowNull: false },
+        ProfileId: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: "Profiles", key: "id" },
+          onUpdate: "CASCADE",
+          onDelete: "CASCADE",
+        },
+      },
+      { transaction }
+    );
+    await queryInterface.addIndex("IdempotencyKeys", ["ProfileId", "key"], {
+      unique: true,
+      transaction,
+    });
+  },
+
+  down: async ({ queryInterface, Sequelize, transaction }) => {
+    await queryInterface.dropTable("IdempotencyKeys", { transaction });
+    await queryInterface.createTable(
+      "IdempotencyKeys",
+      {
+        ...columns(Sequelize),
+        key: { type: Sequelize.STRING, allowNull: false, unique: true },
+      },
+      { transaction }
+    );
+  },
+};
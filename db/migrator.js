@@ -0,0 +1,117 @@
+const fs = require("fs");
+const path = require("path");
+const Sequelize = require("sequelize");
+
+/**
+ * Versioned schema migrations. Every file of `directory` is a migration named after the file, applied in
+ * name order, exporting `up` and `down` functions called with `{ queryInterface, Sequelize, transaction }`.
+ * Each runs in its own transaction, which it passes on to its queries, and is recorded in the `Migrations`
+ * table once applied so `up` only runs the pending ones.
+ */
+
+const TABLE = "Migrations";
+
+const createMigrator = (
+  sequelize,
+  { directory = path.join(__dirname, "migrations") } = {}
+) => {
+  const queryInterface = sequelize.getQueryInterface();
+
+  const migrations = () =>
+    fs
+      .readdirSync(directory)
+      .filter((file) => file.endsWith(".js"))
+      .sort()
+      .map((file) => ({
+        name: path.basename(file, ".js"),
+        ...require(path.join(directory, file)),
+      }));
+
+  const applied = async () => {
+    await queryInterface.createTable(TABLE, {
+      name: { type: Sequelize.STRING, primaryKey: true },
+      appliedAt: { type: Sequelize.DATE, allowNull: false },
+    });
+    const rows = await sequelize.query(
+      `SELECT name, appliedAt FROM ${TABLE} ORDER BY name`,
+      { type: Sequelize.QueryTypes.SELECT }
+    );
+    return new Map(rows.map((row) => [row.name, new Date(row.appliedAt)]));
+  };
+
+  const run = (migration, direction) =>
+    sequelize.transaction(async (transaction) => {
+      await migration[direction]({ queryInterface, Sequelize, transaction });
+      if (direction === "up")
+        await queryInterface.bulkInsert(
+          TABLE,
+          [{ name: migration.name, appliedAt: new Date() }],
+          { transaction }
+        );
+      else
+        await queryInterface.bulkDelete(
+          TABLE,
+          { name: migration.name },
+          { transaction }
+        );
+    });
+
+  const assertKnown = (name) => {
+    if (name !== undefined && !migrations().some((m) => m.name === name))
+      throw new Error(`Unknown migration ${name}`);
+  };
+
+  /**
+   * @returns every migration, in order, with when it was applied (null while pending)
+   */
+  const status = async () => {
+    const done = await applied();
+    return migrations().map(({ name }) => ({
+      name,
+      appliedAt: done.get(name) || null,
+    }));
+  };
+
+  /**
+   * Applies the pending migrations, up to and including `to` when given.
+   * @returns the names of the migrations applied
+   */
+  const up = async ({ to } = {}) => {
+    assertKnown(to);
+    const done = await applied();
+    const names = [];
+
+    for (const migration of migrations()) {
+      if (!done.has(migration.name)) {
+        await run(migration, "up");
+        names.push(migration.name);
+      }
+      if (migration.name === to) break;
+    }
+    return names;
+  };
+
+  /**
+   * Rolls back the last `step` applied migrations, or every one applied after `to` when given.
+   * @returns the names of the migrations rolled back
+   */
+  const down = async ({ to, step = 1 } = {}) => {
+    assertKnown(to);
+    const done = await applied();
+    const names = [];
+
+    const rollback = migrations()
+      .filter(({ name }) => done.has(name))
+      .reverse();
+    for (const migration of rollback) {
+      if (to !== undefined ? migration.name <= to : names.length >= step) break;
+      await run(migration, "down");
+      names.push(migration.name);
+    }
+    return names;
+  };
+
+  return { status, up, down };
+};
+
+module.exports = { createMigrator };
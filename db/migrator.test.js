@@ -0,0 +1,67 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import Sequelize from "sequelize";
+import { createMigrator } from "./migrator";
+import { createDatabase } from "../src/model";
+
+describe("migrator", () => {
+  let sequelize;
+  let migrator;
+  beforeEach(() => {
+    sequelize = createDatabase({ dialect: "sqlite", storage: ":memory:" });
+    migrator = createMigrator(sequelize);
+  });
+
+  afterEach(() => sequelize.close());
+
+  const tables = async () =>
+    (await sequelize.getQueryInterface().showAllTables()).sort();
+
+  it("it should build the schema of every model", async () => {
+    await migrator.up();
+    const queryInterface = sequelize.getQueryInterface();
+
+    for (const model of Object.values(sequelize.models)) {
+      const columns = await queryInterface.describeTable(model.tableName);
+      const attributes = Object.values(model.rawAttributes).filter(
+        ({ type }) => !(type instanceof Sequelize.VIRTUAL)
+      );
+
+      expect(columns, model.name).toEqual(
+        Object.fromEntries(
+          attributes.map(({ field, allowNull = true, primaryKey }) => [
+            field,
+            // sqlite reports primary keys as nullable
+            primaryKey
+              ? expect.anything()
+              : expect.objectContaining({ allowNull }),
+          ])
+        )
+      );
+    }
+  });
+
+  it("it should only apply the pending migrations", async () => {
+    const [first] = await migrator.status();
+    expect(first.appliedAt).toBe(null);
+
+    expect(await migrator.up()).toContain(first.name);
+    expect(await migrator.up()).toEqual([]);
+    expect((await migrator.status()).every((m) => m.appliedAt)).toBe(true);
+  });
+
+  it("it should roll back to an empty schema", async () => {
+    const applied = await migrator.up();
+
+    expect(await migrator.down({ step: applied.length })).toEqual(
+      [...applied].reverse()
+    );
+    expect(await tables()).toEqual(["Migrations"]);
+    expect(await migrator.up()).toEqual(applied);
+  });
+
+  it("it should refuse unknown migrations", async () => {
+    await expect(migrator.up({ to: "9999-nothing" })).rejects.toThrow(
+      "Unknown migration 9999-nothing"
+    );
+  });
+});
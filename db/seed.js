@@ -1,11 +1,17 @@
-const { Profile, Contract, Job } = require("../src/model");
+const { openBalances } = require("../src/ledger");
+const { hashPassword } = require("../src/auth");
+const { issueInvoice } = require("../src/invoices");
 
-/* WARNING THIS WILL DROP THE CURRENT DATABASE */
-export async function seed() {
-  // create tables
-  await Profile.sync({ force: true });
-  await Contract.sync({ force: true });
-  await Job.sync({ force: true });
+// Every seeded profile can log in as `<firstname>.<lastname>` with this password
+const SEED_PASSWORD = "password";
+
+/**
+ * Replaces every row of the database with the fixtures, ids starting over.
+ * The schema must be migrated already, see db/migrator.js.
+ */
+async function seed(sequelize) {
+  const { Profile, Contract, Job, Payment, Credential } = sequelize.models;
+  await sequelize.truncate({ cascade: true, restartIdentity: true });
   //insert data
   await Promise.all([
     Profile.create({
@@ -72,6 +78,14 @@ export async function seed() {
       balance: 314,
       type: "contractor",
     }),
+    Profile.create({
+      id: 9,
+      firstName: "Albus",
+      lastName: "Dumbledore",
+      profession: "Administrator",
+      balance: 0,
+      type: "admin",
+    }),
     Contract.create({
       id: 1,
       terms: "bla bla bla",
@@ -135,16 +149,47 @@ export async function seed() {
       ClientId: 4,
       ContractorId: 8,
     }),
-    Job.create({ id: 1, description: "work", price: 200, ContractId: 1 }),
-    Job.create({ id: 2, description: "work", price: 201, ContractId: 2 }),
-    Job.create({ id: 3, description: "work", price: 202, ContractId: 3 }),
-    Job.create({ id: 4, description: "work", price: 200, ContractId: 4 }),
-    Job.create({ id: 5, description: "work", price: 200, ContractId: 7 }),
+    Job.create({
+      id: 1,
+      description: "work",
+      price: 200,
+      status: "approved",
+      ContractId: 1,
+    }),
+    Job.create({
+      id: 2,
+      description: "work",
+      price: 201,
+      status: "approved",
+      ContractId: 2,
+    }),
+    Job.create({
+      id: 3,
+      description: "work",
+      price: 202,
+      status: "approved",
+      ContractId: 3,
+    }),
+    Job.create({
+      id: 4,
+      description: "work",
+      price: 200,
+      status: "approved",
+      ContractId: 4,
+    }),
+    Job.create({
+      id: 5,
+      description: "work",
+      price: 200,
+      status: "approved",
+      ContractId: 7,
+    }),
     Job.create({
       id: 6,
       description: "work",
       price: 2020,
       paid: true,
+      status: "paid",
       paymentDate: "2020-08-15T19:11:26.737Z",
       ContractId: 7,
     }),
@@ -153,6 +198,7 @@ export async function seed() {
       description: "work",
       price: 200,
       paid: true,
+      status: "paid",
       paymentDate: "2020-08-15T19:11:26.737Z",
       ContractId: 2,
     }),
@@ -161,6 +207,7 @@ export async function seed() {
       description: "work",
       price: 200,
       paid: true,
+      status: "paid",
       paymentDate: "2020-08-16T19:11:26.737Z",
       ContractId: 3,
     }),
@@ -169,6 +216,7 @@ export async function seed() {
       description: "work",
       price: 200,
       paid: true,
+      status: "paid",
       paymentDate: "2020-08-17T19:11:26.737Z",
       ContractId: 1,
     }),
@@ -177,6 +225,7 @@ export async function seed() {
       description: "work",
       price: 200,
       paid: true,
+      status: "paid",
       paymentDate: "2020-08-17T19:11:26.737Z",
       ContractId: 5,
     }),
@@ -185,6 +234,7 @@ export async function seed() {
       description: "work",
       price: 21,
       paid: true,
+      status: "paid",
       paymentDate: "2020-08-10T19:11:26.737Z",
       ContractId: 1,
     }),
@@ -193,6 +243,7 @@ export async function seed() {
       description: "work",
       price: 21,
       paid: true,
+      status: "paid",
       paymentDate: "2020-08-15T19:11:26.737Z",
       ContractId: 2,
     }),
@@ -201,6 +252,7 @@ export async function seed() {
       description: "work",
       price: 121,
       paid: true,
+      status: "paid",
       paymentDate: "2020-08-15T19:11:26.737Z",
       ContractId: 3,
     }),
@@ -209,6 +261,7 @@ export async function seed() {
       description: "work",
       price: 121,
       paid: true,
+      status: "paid",
       paymentDate: "2020-08-14T23:11:26.737Z",
       ContractId: 3,
     }),
@@ -216,8 +269,47 @@ export async function seed() {
       id: 15,
       description: "work",
       price: 121,
+      status: "approved",
       paymentDate: "2020-08-14T23:11:26.737Z",
       ContractId: 8,
     }),
   ]);
+  // jobs paid before partial payments existed were paid in full on their payment date
+  const paidJobs = await Job.findAll({
+    where: { paid: true },
+    include: Contract,
+  });
+  await Promise.all(
+    paidJobs.map((job) => job.update({ amountPaid: job.price }))
+  );
+  const payments = await Payment.bulkCreate(
+    paidJobs.map((job) => ({
+      amount: job.price,
+      sourceAmount: job.price,
+      JobId: job.id,
+      ProfileId: job.Contract.ClientId,
+      createdAt: job.paymentDate,
+    }))
+  );
+  // in payment order, so each contractor's invoices are numbered as they were paid
+  const invoiced = paidJobs
+    .map((job, index) => ({ job, payment: payments[index] }))
+    .sort((a, b) => a.job.paymentDate - b.job.paymentDate);
+  for (const { job, payment } of invoiced)
+    await issueInvoice({ payment, job, contract: job.Contract });
+  const passwordHash = await hashPassword(SEED_PASSWORD);
+  const profiles = await Profile.findAll();
+  await Credential.bulkCreate(
+    profiles.map((profile) => ({
+      username: `${profile.firstName}.${profile.lastName}`
+        .toLowerCase()
+        .replace(/\s+/g, "-"),
+      passwordHash,
+      ProfileId: profile.id,
+    }))
+  );
+  // every seeded balance needs a matching ledger entry to reconcile
+  await openBalances(sequelize);
 }
+
+module.exports = { seed };
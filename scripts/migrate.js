@@ -0,0 +1,55 @@
+const { loadConfig } = require("../src/config");
+const { createDatabase } = require("../src/model");
+const { createMigrator } = require("../db/migrator");
+
+/**
+ * npm run migrate -- [up|down|status] [--to <migration>] [--step <count>]
+ *
+ * `up` (the default) applies the pending migrations, up to `--to`.
+ * `down` rolls back the last one, the last `--step` ones or every one after `--to`.
+ * `status` lists the migrations and when they were applied.
+ */
+const USAGE =
+  "Usage: npm run migrate -- [up|down|status] [--to <migration>] [--step <count>]";
+
+const parse = (args) => {
+  const [command = "up", ...rest] = args;
+  const options = {};
+  for (let i = 0; i < rest.length; i += 2) {
+    const [flag, value] = [rest[i], rest[i + 1]];
+    if (flag === "--to" && value) options.to = value;
+    else if (flag === "--step" && Number(value) > 0)
+      options.step = Number(value);
+    else throw new Error(USAGE);
+  }
+  if (!["up", "down", "status"].includes(command)) throw new Error(USAGE);
+  return { command, options };
+};
+
+const sequelize = createDatabase(loadConfig().database);
+
+const main = async () => {
+  const { command, options } = parse(process.argv.slice(2));
+  const migrator = createMigrator(sequelize);
+
+  if (command === "status") {
+    for (const { name, appliedAt } of await migrator.status())
+      console.log(
+        `${appliedAt ? appliedAt.toISOString() : "pending".padEnd(24)}  ${name}`
+      );
+    return;
+  }
+
+  const names = await migrator[command](options);
+  const verb = command === "up" ? "Applied" : "Rolled back";
+  if (names.length === 0) console.log("Nothing to do");
+  for (const name of names) console.log(`${verb} ${name}`);
+};
+
+main()
+  .then(() => sequelize.close())
+  .catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+    return sequelize.close();
+  });
@@ -1,3 +1,29 @@
-import { seed } from "../db/seed";
-/* WARNING THIS WILL DROP THE CURRENT DATABASE */
-seed();
+const { loadConfig } = require("../src/config");
+const { createDatabase } = require("../src/model");
+const { createMigrator } = require("../db/migrator");
+const { seed } = require("../db/seed");
+
+const sequelize = createDatabase(loadConfig().database);
+
+/* WARNING THIS WILL REPLACE EVERY ROW OF THE CURRENT DATABASE */
+const main = async () => {
+  const pending = (await createMigrator(sequelize).status()).filter(
+    ({ appliedAt }) => !appliedAt
+  );
+  if (pending.length > 0)
+    throw new Error(
+      `Pending migrations (${pending
+        .map(({ name }) => name)
+        .join(", ")}), run npm run migrate first`
+    );
+
+  await seed(sequelize);
+};
+
+main()
+  .then(() => sequelize.close())
+  .catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+    return sequelize.close();
+  });
@@ -0,0 +1,72 @@
+const { Op } = require("sequelize");
+const { DEFAULT_CURRENCY } = require("./currency");
+const { fromCents, adjustColumn } = require("./money");
+
+/**
+ * A profile holds one balance per currency. The default currency's balance is `Profile.balance`,
+ * every other currency has a row in Balances, created on its first credit.
+ * The models are those of the transaction's (or profile's) Sequelize instance, see `createDatabase`.
+ */
+
+/**
+ * Adds `cents` (negative to debit) to the profile's balance in `currency`.
+ * With `requireFunds` a debit only applies while the balance covers it.
+ * @returns whether the balance was adjusted
+ */
+const adjustBalance = async (
+  { profileId, currency = DEFAULT_CURRENCY, cents, requireFunds = false },
+  transaction
+) => {
+  const { Profile, Balance } = transaction.sequelize.models;
+  const covered = requireFunds && cents < 0 && { [Op.gte]: fromCents(-cents) };
+
+  if (currency === DEFAULT_CURRENCY) {
+    const [updated] = await Profile.update(
+      { balance: adjustColumn("balance", cents) },
+      {
+        where: { id: profileId, ...(covered && { balance: covered }) },
+        transaction,
+      }
+    );
+    return updated === 1;
+  }
+
+  // Only a debit that must be covered can do without the row, it fails anyway
+  if (!covered)
+    await Balance.findOrCreate({
+      where: { ProfileId: profileId, currency },
+      transaction,
+    });
+
+  const [updated] = await Balance.update(
+    { amount: adjustColumn("amount", cents) },
+    {
+      where: {
+        ProfileId: profileId,
+        currency,
+        ...(covered && { amount: covered }),
+      },
+      transaction,
+    }
+  );
+  return updated === 1;
+};
+
+/**
+ * @returns the profile's balance in every currency it holds, the default currency first
+ */
+const balancesOf = async (profile, transaction) => {
+  const { Balance } = profile.sequelize.models;
+  const balances = await Balance.findAll({
+    where: { ProfileId: profile.id },
+    order: [["currency", "ASC"]],
+    transaction,
+  });
+
+  return [
+    { currency: DEFAULT_CURRENCY, amount: profile.balance },
+    ...balances.map(({ currency, amount }) => ({ currency, amount })),
+  ];
+};
+
+module.exports = { adjustBalance, balancesOf };
@@ -1,285 +1,260 @@
 const express = require("express");
 const bodyParser = require("body-parser");
-const { sequelize } = require("./model");
+const { createDatabase } = require("./model");
+const { loadConfig } = require("./config");
+const { createLogger } = require("./logger");
 const { getProfile } = require("./middleware/getProfile");
-const { Op } = require("sequelize");
-const { isClient } = require("./middleware/isClient");
-const app = express();
-app.use(bodyParser.json());
-app.set("sequelize", sequelize);
-app.set("models", sequelize.models);
+const crypto = require("crypto");
+const { requireRole, requireSelfOrRole } = require("./middleware/requireRole");
+const { reconcile, reconcileEscrow } = require("./ledger");
+const { HttpError } = require("./errors");
+const { validate, string, integer, oneOf } = require("./validation");
+const { listSchema, paginate } = require("./pagination");
+const { notFound, errorHandler } = require("./middleware/errorHandler");
+const { requestId } = require("./middleware/requestId");
+const { DUMMY_PASSWORD_HASH, verifyPassword, signToken } = require("./auth");
+const contracts = require("./routes/contracts");
+const jobs = require("./routes/jobs");
+const balances = require("./routes/balances");
+const payouts = require("./routes/payouts");
+const invoices = require("./routes/invoices");
+const disputes = require("./routes/disputes");
+const webhooks = require("./routes/webhooks");
+const reports = require("./routes/reports");
+const { processPayouts } = require("./payouts");
+const { runBilling } = require("./billing");
+const { createFakeProvider } = require("./payouts/fakeProvider");
+const { createDepositPolicy } = require("./depositPolicy");
+const { createFxTable } = require("./currency");
+const { auditContext } = require("./audit");
+const { asyncHandler } = require("./middleware/asyncHandler");
 
 /**
- * @returns contract by id
+ * Builds the app for `config` (see src/config.js) on `sequelize`, a database with every model defined
+ * (see src/model.js), by default the one `config.database` describes.
+ * Collaborators swapped by tests (payoutProvider, fxRates, depositPolicy, clock) are app settings.
  */
-app.get("/contracts/:id", getProfile, async (req, res) => {
-  const { Contract } = req.app.get("models");
-  const { id } = req.params;
-  const contract = await Contract.findOne({
-    where: {
-      id,
-      [Op.or]: [{ ClientId: req.profile.id }, { ContractorId: req.profile.id }],
-    },
-  });
-  if (!contract) return res.status(404).end();
-  res.json(contract);
-});
-/**
- * @returns Returns a list of contracts belonging to a user (client or contractor),
- * the list should only contain non terminated contracts.
- */
-app.get("/contracts", getProfile, async (req, res) => {
-  const { Contract } = req.app.get("models");
-  const contract = await Contract.findAll({
-    where: {
-      [Op.or]: [{ ClientId: req.profile.id }, { ContractorId: req.profile.id }],
-      status: {
-        [Op.not]: "terminated",
-      },
-    },
-  });
-  if (!contract) return res.status(404).end();
-  res.json(contract);
-});
-/**
- * @returns Get all unpaid jobs for a user (either a client or contractor), for active contracts only
- * [REMARKS]: "for a user" rather than "belongs to a user" suggests that in the context, suggests somebody other than client or contractor
- * ie: a global admin of some sort, therefore getProfile would not be a suitable authentication. I'm going to presume you meant belonging to the user.
- */
-app.get("/jobs/unpaid", getProfile, async (req, res) => {
-  const { Job, Contract } = req.app.get("models");
-
-  //join on contracts on contractId and ensure the contract is active
-  const jobs = await Job.findAll({
-    include: {
-      model: Contract,
-      as: "Contract",
-      required: true,
-      where: {
-        status: "in_progress",
-        [Op.or]: [
-          { ClientId: req.profile.id },
-          { ContractorId: req.profile.id },
-        ],
-      },
-    },
-    where: {
-      paid: {
-        [Op.not]: true,
-      },
-    },
-  });
-  if (!jobs) return res.status(404).end();
-  res.json(jobs);
-});
-/**
- * @returns Pay for a job, a client can only pay if his balance >= the amount to pay. The amount should be moved from the client's balance to the contractor balance.
- */
-app.post("/jobs/:job_id/pay", getProfile, isClient, async (req, res) => {
-  const { Job, Contract, Profile } = req.app.get("models");
-  const { job_id } = req.params;
-
-  const job = await Job.findOne({
-    include: {
-      model: Contract,
-      as: "Contract",
-      required: true,
-      where: {
-        status: "in_progress",
-        ClientId: req.profile.id,
-      },
-    },
-    where: {
-      id: job_id,
-      paid: {
-        [Op.not]: true,
-      },
-    },
-  });
-
-  if (!job) return res.status(404).end();
-
-  // Refresh the balance of the client
-  const client = await Profile.findOne({
-    where: { id: req.profile.id },
-  });
-  // Refresh the balance of the client
-  const contractor = await Profile.findOne({
-    where: { id: job.Contract.ContractorId },
+const createApp = ({
+  config = loadConfig(),
+  logger = createLogger(config.logLevel),
+  sequelize = createDatabase(config.database, { logger }),
+} = {}) => {
+  const app = express();
+  app.use(requestId);
+  app.use(bodyParser.json());
+  app.set("config", config);
+  app.set("logger", logger);
+  app.set("sequelize", sequelize);
+  app.set("models", sequelize.models);
+  // Swap for a real provider outside of development, see src/payouts/index.js
+  app.set("payoutProvider", createFakeProvider());
+  app.set("fxRates", createFxTable(config.fxRates));
+  app.set(
+    "depositPolicy",
+    createDepositPolicy(config.depositPolicy || undefined)
+  );
+  // The time recurring billing runs at, swapped in tests
+  app.set("clock", () => new Date());
+  app.set("auth", {
+    ...config.auth,
+    secret: config.auth.secret || crypto.randomBytes(32).toString("hex"),
   });
 
-  if (job.price > client.balance) {
-    return res.status(402).end();
-  }
-
-  const t = await sequelize.transaction();
+  /**
+   * @returns a signed bearer token for the profile matching the username and password
+   */
+  app.post(
+    "/auth/login",
+    validate({
+      body: { username: string({ maxLength: 255 }), password: string() },
+    }),
+    asyncHandler(async (req, res, next) => {
+      const { Credential } = req.app.get("models");
+      const { username, password } = req.body;
 
-  try {
-    await Promise.all([
-      //Remove balance
-      Profile.update(
-        {
-          balance: client.balance - job.price,
-        },
-        {
-          where: { id: client.id },
-          transaction: t,
-        }
-      ),
-      //Add balance
-      Profile.update(
-        {
-          balance: contractor.balance + job.price,
-        },
-        {
-          where: { id: contractor.id },
-          transaction: t,
-        }
-      ),
-      //Mark Paid
-      Job.update(
-        {
-          paid: true,
-          paymentDate: new Date(),
-        },
-        {
-          where: { id: job_id },
-          transaction: t,
-        }
-      ),
-    ]);
+      const credential = await Credential.findOne({ where: { username } });
+      const verified = await verifyPassword(
+        password,
+        credential ? credential.passwordHash : DUMMY_PASSWORD_HASH
+      );
 
-    await t.commit();
-  } catch (error) {
-    console.log(error);
-    await t.rollback();
-    return res.status(400).end();
-  }
+      if (!credential || !verified) {
+        return next(
+          new HttpError(
+            401,
+            "invalid_credentials",
+            "Invalid username or password"
+          )
+        );
+      }
 
-  const newJob = await Job.findOne({
-    include: {
-      model: Contract,
-      as: "Contract",
-      required: true,
-      where: {
-        status: "in_progress",
-        ClientId: req.profile.id,
-      },
-    },
-    where: {
-      id: job_id,
-    },
-  });
+      const { token, expiresAt } = signToken(
+        credential.ProfileId,
+        req.app.get("auth")
+      );
 
-  res.json(newJob);
-});
+      res.json({ token, tokenType: "Bearer", expiresAt });
+    })
+  );
 
-/**
- * @returns Deposits money into the the the balance of a client, a client can't deposit more than 25% his total of jobs to pay. (at the deposit moment)
- */
-app.post("/balances/deposit/:userId", async (req, res) => {
-  const { Job, Contract, Profile } = req.app.get("models");
-  const { userId } = req.params;
-  const { amount } = req.body;
+  app.use("/contracts", contracts);
 
-  if (typeof amount === "undefined" || typeof amount !== "number")
-    return res.status(400).end();
-  if (amount === 0) return res.status(204).end(); //no content
+  app.use("/jobs", jobs);
 
-  // Refresh the balance of the client
-  const client = await Profile.findOne({
-    where: { id: userId, type: "client" },
-  });
+  app.use("/balances", balances);
 
-  if (!client) return res.status(404).end();
+  app.use("/payouts", payouts);
 
-  const jobs = await Job.findAll({
-    include: {
-      model: Contract,
-      as: "Contract",
-      required: true,
-      where: {
-        status: "in_progress",
-        ClientId: client.id,
-      },
-    },
-    where: {
-      paid: {
-        [Op.not]: true,
-      },
-    },
-  });
+  app.use("/invoices", invoices);
 
-  if (!jobs) return res.status(404).end();
+  app.use("/disputes", disputes);
 
-  const outstandingTotal = jobs.reduce((total, job) => total + job.price, 0);
+  /**
+   * @returns The ledger entries of the calling profile (or any profile for admins), newest first by default.
+   * Paginated and filtered following src/pagination.js, plus `type`.
+   */
+  app.get(
+    "/profiles/:id/ledger",
+    getProfile,
+    requireSelfOrRole("id", "admin"),
+    validate({
+      params: { id: integer({ min: 1 }) },
+      ...listSchema({
+        sortable: ["id", "createdAt"],
+        defaultSort: "-id",
+        filters: {
+          type: oneOf(sequelize.models.LedgerEntry.rawAttributes.type.values, {
+            optional: true,
+          }),
+        },
+      }),
+    }),
+    asyncHandler(async (req, res) => {
+      const { LedgerEntry } = req.app.get("models");
+      const { id } = req.params;
+      const { type } = req.query;
 
-  if (outstandingTotal === 0) {
-    return res.status(403).end();
-  }
+      const page = await paginate(LedgerEntry, {
+        where: { ProfileId: id, ...(type && { type }) },
+        query: req.query,
+      });
 
-  const twentyFivePercentAllowance = outstandingTotal * 0.25;
+      res.json(page);
+    })
+  );
 
-  if (amount > twentyFivePercentAllowance) {
-    return res.status(403).end();
-  }
+  // Every admin report is restricted to admin profiles
+  app.use("/admin", getProfile, requireRole("admin"));
+  app.use("/admin/webhooks", webhooks);
+  app.use("/admin", reports);
 
-  const t = await sequelize.transaction();
+  /**
+   * @returns Profiles whose balance (and contracts whose escrow) does not match the sum of their ledger entries,
+   * empty lists when the books balance
+   */
+  app.get(
+    "/admin/ledger/reconciliation",
+    asyncHandler(async (req, res) => {
+      const sequelize = req.app.get("sequelize");
+      const mismatches = await reconcile(sequelize);
+      const escrowMismatches = await reconcileEscrow(sequelize);
+      res.json({
+        balanced: mismatches.length === 0 && escrowMismatches.length === 0,
+        mismatches,
+        escrowMismatches,
+      });
+    })
+  );
 
-  try {
-    await Profile.update(
-      {
-        balance: client.balance + amount,
-      },
-      {
-        where: { id: client.id },
-        transaction: t,
-      }
+  /**
+   * @returns the audit log, newest first, filtered by `actorId`, `targetType`/`targetId`, `action` and `createdFrom`/`createdTo`
+   */
+  app.get(
+    "/admin/audit",
+    validate(
+      listSchema({
+        sortable: ["id", "createdAt"],
+        defaultSort: "-id",
+        filters: {
+          actorId: integer({ min: 1, optional: true }),
+          targetType: oneOf(
+            [
+              "Contract",
+              "Job",
+              "Profile",
+              "Payout",
+              "Dispute",
+              "DisputeMessage",
+              "BillingCycle",
+              "WebhookSubscription",
+              "WebhookDelivery",
+            ],
+            { optional: true }
+          ),
+          targetId: integer({ min: 1, optional: true }),
+          action: string({ optional: true }),
+        },
+      })
     ),
-      await t.commit();
-  } catch (error) {
-    console.log(error);
-    await t.rollback();
-    return res.status(400).end();
-  }
-  // Refresh the balance of the client
-  const newClient = await Profile.findOne({
-    where: { id: userId, type: "client" },
-  });
+    asyncHandler(async (req, res) => {
+      const { AuditEvent } = req.app.get("models");
+      const { actorId, targetType, targetId, action } = req.query;
 
-  res.json(newClient);
-});
+      const page = await paginate(AuditEvent, {
+        where: {
+          ...(actorId && { ActorId: actorId }),
+          ...(targetType && { targetType }),
+          ...(targetId && { targetId }),
+          ...(action && { action }),
+        },
+        query: req.query,
+      });
 
-/**
- * @returns   Returns the profession that earned the most money (sum of jobs paid) for any contactor that worked in the query time range.
- */
-app.get("/admin/best-profession", async (req, res) => {
-  const { start, end } = req.query;
+      res.json(page);
+    })
+  );
 
-  if (!start || !end) return res.status(400).end();
+  /**
+   * @returns how many pending payouts were paid, left processing or failed by the payout provider
+   */
+  app.post("/admin/payouts/process", async (req, res, next) => {
+    try {
+      const summary = await processPayouts(
+        req.app.get("sequelize"),
+        req.app.get("payoutProvider"),
+        {
+          limit: req.app.get("config").limits.payoutBatch,
+          context: auditContext(req),
+        }
+      );
+      res.json(summary);
+    } catch (error) {
+      return next(error);
+    }
+  });
 
-  const [results] = await sequelize.query(
-    `SELECT SUM(price) as total, profiles.profession as profession 
-        FROM jobs 
-        LEFT JOIN contracts ON jobs.ContractId = contracts.id 
-        LEFT JOIN profiles ON contracts.ContractorId = profiles.id 
-        WHERE paid = true AND jobs.paymentDate BETWEEN :start AND :end 
-        GROUP BY profiles.profession 
-        ORDER BY total DESC LIMIT 1`,
-    {
-      replacements: {
-        start: new Date(start),
-        end: new Date(end),
-      },
+  /**
+   * @returns how many periods of recurring contracts were billed, and of those how many were paid or skipped
+   */
+  app.post("/admin/billing/run", async (req, res, next) => {
+    try {
+      const summary = await runBilling(req.app.get("sequelize"), {
+        now: req.app.get("clock")(),
+        fx: req.app.get("fxRates"),
+        limit: req.app.get("config").limits.billingBatch,
+        maxPeriods: req.app.get("config").limits.billingPeriods,
+        context: auditContext(req),
+      });
+      res.json(summary);
+    } catch (error) {
+      return next(error);
     }
-  );
+  });
 
-  if (!results.length)
-    return res.json({
-      profession: null,
-    });
+  app.use(notFound);
+  app.use(errorHandler);
 
-  res.json(results[0]);
-});
+  return app;
+};
 
-module.exports = app;
+module.exports = { createApp };
@@ -1,9 +1,31 @@
 import { describe, it, expect, beforeAll, afterAll, beforeEach } from "vitest";
-import app from "./app";
+import { createApp } from "./app";
 import { seed } from "../db/seed";
-import { sequelize } from "./model";
+import { createMigrator } from "../db/migrator";
+import { createDatabase } from "./model";
+import { loadConfig } from "./config";
+import { signToken } from "./auth";
+import { createFakeProvider } from "./payouts/fakeProvider";
+import { createDepositPolicy } from "./depositPolicy";
+import { createFxTable } from "./currency";
+import { dispatchWebhooks, sign, MAX_ATTEMPTS } from "./webhooks";
+import { runBilling, createScheduler } from "./billing";
+import http from "http";
 
-const URL = process.env.DEV_URL || "http://localhost:3001";
+// Every test file gets its own database and port
+const config = loadConfig({
+  env: {},
+  overrides: {
+    port: 0,
+    logLevel: "silent",
+    database: { storage: ":memory:" },
+    // The tests authenticate with the legacy header unless they say otherwise
+    auth: { allowProfileIdHeader: true },
+  },
+});
+const sequelize = createDatabase(config.database);
+const app = createApp({ config, sequelize });
+let URL;
 
 function getUrl(path) {
   return `${URL}${path}`;
@@ -11,18 +33,24 @@ function getUrl(path) {
 
 describe("app", () => {
   let server;
-  beforeAll(() => {
-    server = app.listen(3001, () => {
-      console.log("Express App Listening on Port 3001");
+  beforeAll(async () => {
+    await createMigrator(sequelize).up();
+    server = await new Promise((resolve) => {
+      const server = app.listen(config.port, () => resolve(server));
     });
+    URL = `http://localhost:${server.address().port}`;
   });
 
   beforeEach(async () => {
-    await seed();
+    await seed(sequelize);
+    app.set("payoutProvider", createFakeProvider());
+    app.set("depositPolicy", createDepositPolicy());
+    app.set("fxRates", createFxTable());
   });
 
-  afterAll(() => {
+  afterAll(async () => {
     server.close();
+    await sequelize.close();
   });
 
   it("it should not return the contract if it doesn't belong to the user", async () => {
@@ -59,7 +87,7 @@ describe("app", () => {
     });
 
     expect(output.status).toBe(200);
-    expect((await output.json()).length).toBe(2);
+    expect((await output.json()).data.length).toBe(2);
   });
 
   it("it should return all the contracts that belong to the user that aren't terminated", async () => {
@@ -73,7 +101,7 @@ describe("app", () => {
     });
 
     expect(output.status).toBe(200);
-    const data = await output.json();
+    const { data } = await output.json();
     expect(data.some((c) => c.status === "terminated")).toBe(false);
   });
 
@@ -88,7 +116,7 @@ describe("app", () => {
     });
 
     expect(output.status).toBe(200);
-    const data = await output.json();
+    const { data } = await output.json();
     expect(data.length).toBe(1);
     expect(data[0].paid).toBeFalsy();
   });
@@ -104,7 +132,7 @@ describe("app", () => {
     });
 
     expect(output.status).toBe(200);
-    const data = await output.json();
+    const { data } = await output.json();
     expect(data.length).toBe(1);
     expect(data[0].paid).toBeFalsy();
   });
@@ -120,7 +148,7 @@ describe("app", () => {
     });
 
     expect(output.status).toBe(200);
-    const data = await output.json();
+    const { data } = await output.json();
     expect(data.length).toBe(0);
   });
 
@@ -132,7 +160,7 @@ describe("app", () => {
       },
     });
 
-    expect(output.status).toBe(401);
+    expect(output.status).toBe(403);
   });
 
   it("it should not allow a client to pay for a job they do not own", async () => {
@@ -199,6 +227,7 @@ describe("app", () => {
       }),
       headers: {
         "Content-Type": "application/json",
+        profile_id: "1",
       },
     });
 
@@ -211,11 +240,2369 @@ describe("app", () => {
 
   it("it should returns the profession that earned the most money (sum of jobs paid) for any contactor that worked in the query time range.", async () => {
     const output = await fetch(
-      getUrl("/admin/best-profession?start=2020-08-15&end=2020-08-17")
+      getUrl("/admin/best-profession?start=2020-08-15&end=2020-08-17"),
+      { headers: { profile_id: "9" } }
     );
 
     expect(output.status).toBe(200);
     const body = await output.json();
     expect(body.profession).toBe("Programmer");
   });
+
+  it("it should reject an inverted date range for best-profession", async () => {
+    const output = await fetch(
+      getUrl("/admin/best-profession?start=2020-08-17&end=2020-08-15"),
+      { headers: { profile_id: "9" } }
+    );
+
+    expect(output.status).toBe(400);
+    const body = await output.json();
+    expect(body.code).toBe("validation_failed");
+    expect(body.details.errors[0].field).toBe("start");
+  });
+
+  it("it should return the clients that paid the most in the query time range, limited to 2 by default", async () => {
+    const output = await fetch(
+      getUrl("/admin/best-clients?start=2020-08-10&end=2020-08-18"),
+      { headers: { profile_id: "9" } }
+    );
+
+    expect(output.status).toBe(200);
+    const body = await output.json();
+    expect(body).toEqual([
+      { id: 4, fullName: "Ash Kethcum", paid: 2020 },
+      { id: 1, fullName: "Harry Potter", paid: 442 },
+    ]);
+  });
+
+  it("it should apply the limit query parameter to best-clients", async () => {
+    const output = await fetch(
+      getUrl("/admin/best-clients?start=2020-08-10&end=2020-08-18&limit=4"),
+      { headers: { profile_id: "9" } }
+    );
+
+    expect(output.status).toBe(200);
+    const body = await output.json();
+    expect(body.map((c) => c.id)).toEqual([4, 1, 2, 3]);
+  });
+
+  it("it should reject malformed dates and limits for best-clients", async () => {
+    const badDate = await fetch(
+      getUrl("/admin/best-clients?start=yesterday&end=2020-08-18"),
+      { headers: { profile_id: "9" } }
+    );
+    expect(badDate.status).toBe(400);
+    const badDateBody = await badDate.json();
+    expect(badDateBody.code).toBe("validation_failed");
+    expect(badDateBody.details.errors).toEqual([
+      {
+        location: "query",
+        field: "start",
+        message: "start must be a valid date",
+      },
+    ]);
+
+    const badLimit = await fetch(
+      getUrl("/admin/best-clients?start=2020-08-10&end=2020-08-18&limit=0"),
+      { headers: { profile_id: "9" } }
+    );
+    expect(badLimit.status).toBe(400);
+    const badLimitBody = await badLimit.json();
+    expect(badLimitBody.code).toBe("validation_failed");
+    expect(badLimitBody.details.errors[0].field).toBe("limit");
+  });
+
+  it("it should record a debit and credit ledger entry for a payment", async () => {
+    const { LedgerEntry } = sequelize.models;
+    const output = await fetch(getUrl("/jobs/2/pay"), {
+      method: "POST",
+      headers: {
+        profile_id: "1",
+      },
+    });
+
+    expect(output.status).toBe(200);
+    const entries = await LedgerEntry.findAll({ where: { JobId: 2 } });
+    expect(entries.length).toBe(2);
+    expect(entries[0].entryGroup).toBe(entries[1].entryGroup);
+    const debit = entries.find((e) => e.side === "debit");
+    const credit = entries.find((e) => e.side === "credit");
+    expect(debit.ProfileId).toBe(1);
+    expect(credit.ProfileId).toBe(6);
+    expect(debit.amount).toBe(201);
+    expect(credit.amount).toBe(201);
+  });
+
+  it("it should return the paged ledger of the calling profile", async () => {
+    await fetch(getUrl("/balances/deposit/1"), {
+      method: "POST",
+      body: JSON.stringify({ amount: 10 }),
+      headers: { "Content-Type": "application/json", profile_id: "1" },
+    });
+
+    const output = await fetch(getUrl("/profiles/1/ledger?limit=1"), {
+      headers: {
+        profile_id: "1",
+      },
+    });
+
+    expect(output.status).toBe(200);
+    const body = await output.json();
+    expect(body.total).toBe(2);
+    expect(body.data.length).toBe(1);
+    expect(body.data[0].type).toBe("deposit");
+    expect(body.data[0].side).toBe("credit");
+    expect(body.nextCursor).not.toBe(null);
+  });
+
+  it("it should not return the ledger of another profile", async () => {
+    const output = await fetch(getUrl("/profiles/1/ledger"), {
+      headers: {
+        profile_id: "2",
+      },
+    });
+
+    expect(output.status).toBe(403);
+  });
+
+  it("it should keep every balance reconciled with the ledger after payments and deposits", async () => {
+    await fetch(getUrl("/jobs/2/pay"), {
+      method: "POST",
+      headers: { profile_id: "1" },
+    });
+    await fetch(getUrl("/balances/deposit/2"), {
+      method: "POST",
+      body: JSON.stringify({ amount: 50.5 }),
+      headers: { "Content-Type": "application/json", profile_id: "2" },
+    });
+
+    const output = await fetch(getUrl("/admin/ledger/reconciliation"), {
+      headers: { profile_id: "9" },
+    });
+
+    expect(output.status).toBe(200);
+    const body = await output.json();
+    expect(body.mismatches).toEqual([]);
+    expect(body.balanced).toBe(true);
+  });
+
+  it("it should only let one of several concurrent payments for the same job succeed", async () => {
+    const { Profile, Job } = sequelize.models;
+    const outputs = await Promise.all(
+      Array.from({ length: 5 }, () =>
+        fetch(getUrl("/jobs/2/pay"), {
+          method: "POST",
+          headers: {
+            profile_id: "1",
+          },
+        })
+      )
+    );
+
+    const statuses = outputs.map((output) => output.status);
+    expect(statuses.filter((status) => status === 200).length).toBe(1);
+    expect(statuses.every((status) => [200, 404, 409].includes(status))).toBe(
+      true
+    );
+
+    const afterClient = await Profile.findByPk(1);
+    const afterContractor = await Profile.findByPk(6);
+    const job = await Job.findByPk(2);
+    expect(job.paid).toBe(true);
+    expect(afterClient.balance).toBe(1150 - 201);
+    expect(afterContractor.balance).toBe(1214 + 201);
+  });
+
+  it("it should not let concurrent payments overdraw a client", async () => {
+    const { Profile, Job } = sequelize.models;
+    // Client 1 can afford either job but not both once its balance is lowered
+    await Profile.update({ balance: 300 }, { where: { id: 1 } });
+    await Job.create({
+      id: 16,
+      description: "work",
+      price: 200,
+      status: "approved",
+      ContractId: 2,
+    });
+
+    const outputs = await Promise.all(
+      ["/jobs/2/pay", "/jobs/16/pay"].map((path) =>
+        fetch(getUrl(path), {
+          method: "POST",
+          headers: {
+            profile_id: "1",
+          },
+        })
+      )
+    );
+
+    const statuses = outputs.map((output) => output.status).sort();
+    expect(statuses).toEqual([200, 402]);
+    const afterClient = await Profile.findByPk(1);
+    expect(afterClient.balance).toBeGreaterThanOrEqual(0);
+  });
+
+  it("it should replay the original response for a retried deposit with the same Idempotency-Key", async () => {
+    const deposit = () =>
+      fetch(getUrl("/balances/deposit/1"), {
+        method: "POST",
+        body: JSON.stringify({
+          amount: 10,
+        }),
+        headers: {
+          "Content-Type": "application/json",
+          profile_id: "1",
+          "Idempotency-Key": "deposit-1",
+        },
+      });
+
+    const first = await deposit();
+    const retry = await deposit();
+
+    expect(first.status).toBe(200);
+    expect(retry.status).toBe(200);
+    expect(retry.headers.get("Idempotent-Replayed")).toBe("true");
+    expect(await retry.json()).toEqual(await first.json());
+
+    const { Profile } = sequelize.models;
+    const client = await Profile.findByPk(1);
+    expect(client.balance).toBe(1150 + 10);
+  });
+
+  it("it should replay a job payment instead of reporting the job as missing", async () => {
+    const pay = () =>
+      fetch(getUrl("/jobs/2/pay"), {
+        method: "POST",
+        headers: {
+          profile_id: "1",
+          "Idempotency-Key": "pay-2",
+        },
+      });
+
+    const first = await pay();
+    const retry = await pay();
+
+    expect(first.status).toBe(200);
+    expect(retry.status).toBe(200);
+    expect((await retry.json()).id).toBe(2);
+  });
+
+  it("it should keep another profile from replaying a response with the same Idempotency-Key", async () => {
+    const pay = (profileId) =>
+      fetch(getUrl("/jobs/2/pay"), {
+        method: "POST",
+        headers: {
+          profile_id: profileId,
+          "Idempotency-Key": "k1",
+        },
+      });
+
+    expect((await pay("1")).status).toBe(200);
+    const other = await pay("2");
+
+    expect(other.status).toBe(404);
+    expect(other.headers.get("Idempotent-Replayed")).toBe(null);
+    expect((await other.json()).code).toBe("job_not_found");
+  });
+
+  it("it should claim an Idempotency-Key again when the request holding it failed meanwhile", async () => {
+    const { IdempotencyKey } = sequelize.models;
+    await IdempotencyKey.create({
+      key: "deposit-3",
+      fingerprint: "of a request about to fail",
+      ProfileId: 1,
+    });
+    // The failed request releases the key between the claim and its lookup
+    const findOne = IdempotencyKey.findOne;
+    IdempotencyKey.findOne = async (options) => {
+      IdempotencyKey.findOne = findOne;
+      await IdempotencyKey.destroy({ where: options.where });
+      return null;
+    };
+
+    const output = await fetch(getUrl("/balances/deposit/1"), {
+      method: "POST",
+      body: JSON.stringify({ amount: 10 }),
+      headers: {
+        "Content-Type": "application/json",
+        profile_id: "1",
+        "Idempotency-Key": "deposit-3",
+      },
+    });
+
+    expect(output.status).toBe(200);
+    expect(await IdempotencyKey.count({ where: { key: "deposit-3" } })).toBe(1);
+  });
+
+  it("it should answer a failing database query with a 500 rather than hang", async () => {
+    const { Payout } = sequelize.models;
+    const count = Payout.count;
+    Payout.count = () => Promise.reject(new Error("database is locked"));
+
+    try {
+      const output = await fetch(getUrl("/payouts"), {
+        headers: { profile_id: "5" },
+      });
+
+      expect(output.status).toBe(500);
+      expect((await output.json()).code).toBe("internal_error");
+    } finally {
+      Payout.count = count;
+    }
+  });
+
+  it("it should reject an Idempotency-Key reused with a different body", async () => {
+    const deposit = (amount) =>
+      fetch(getUrl("/balances/deposit/1"), {
+        method: "POST",
+        body: JSON.stringify({ amount }),
+        headers: {
+          "Content-Type": "application/json",
+          profile_id: "1",
+          "Idempotency-Key": "deposit-2",
+        },
+      });
+
+    expect((await deposit(10)).status).toBe(200);
+    const reused = await deposit(20);
+
+    expect(reused.status).toBe(422);
+    expect((await reused.json()).code).toBe("idempotency_key_reused");
+  });
+
+  it("it should reject deposits with more than two decimal places or negative amounts", async () => {
+    for (const amount of [10.001, -10]) {
+      const output = await fetch(getUrl("/balances/deposit/1"), {
+        method: "POST",
+        body: JSON.stringify({ amount }),
+        headers: {
+          "Content-Type": "application/json",
+          profile_id: "1",
+        },
+      });
+
+      expect(output.status).toBe(400);
+      const body = await output.json();
+      expect(body.code).toBe("validation_failed");
+      expect(body.details.errors[0].field).toBe("amount");
+    }
+  });
+
+  it("it should keep balances exact across fractional deposits", async () => {
+    for (const amount of [0.1, 0.2]) {
+      await fetch(getUrl("/balances/deposit/2"), {
+        method: "POST",
+        body: JSON.stringify({ amount }),
+        headers: {
+          "Content-Type": "application/json",
+          profile_id: "2",
+        },
+      });
+    }
+
+    const { Profile } = sequelize.models;
+    const client = await Profile.findByPk(2);
+    expect(client.balance).toBe(231.41);
+  });
+
+  it("it should issue a bearer token that authenticates the profile", async () => {
+    const login = await fetch(getUrl("/auth/login"), {
+      method: "POST",
+      body: JSON.stringify({ username: "john.snow", password: "password" }),
+      headers: {
+        "Content-Type": "application/json",
+      },
+    });
+
+    expect(login.status).toBe(200);
+    const { token, tokenType } = await login.json();
+    expect(tokenType).toBe("Bearer");
+
+    const output = await fetch(getUrl("/contracts/5"), {
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+    });
+
+    expect(output.status).toBe(200);
+  });
+
+  it("it should reject a login with the wrong password", async () => {
+    const login = await fetch(getUrl("/auth/login"), {
+      method: "POST",
+      body: JSON.stringify({ username: "john.snow", password: "wrong" }),
+      headers: {
+        "Content-Type": "application/json",
+      },
+    });
+
+    expect(login.status).toBe(401);
+    expect((await login.json()).code).toBe("invalid_credentials");
+  });
+
+  it("it should reject tampered and expired tokens", async () => {
+    const auth = app.get("auth");
+    const { token } = signToken(3, auth);
+    const [header, , signature] = token.split(".");
+    const forgedPayload = Buffer.from(
+      JSON.stringify({ sub: 1, exp: Math.floor(Date.now() / 1000) + 60 })
+    ).toString("base64url");
+    const { token: expired } = signToken(3, { ...auth, tokenTtlSeconds: -1 });
+
+    for (const bad of [`${header}.${forgedPayload}.${signature}`, expired]) {
+      const output = await fetch(getUrl("/contracts/5"), {
+        headers: {
+          Authorization: `Bearer ${bad}`,
+        },
+      });
+
+      expect(output.status).toBe(401);
+    }
+  });
+
+  it("it should ignore the profile_id header outside of development mode", async () => {
+    app.get("auth").allowProfileIdHeader = false;
+    try {
+      const output = await fetch(getUrl("/contracts/5"), {
+        headers: {
+          profile_id: "3",
+        },
+      });
+
+      expect(output.status).toBe(401);
+    } finally {
+      app.get("auth").allowProfileIdHeader = true;
+    }
+  });
+
+  it("it should forbid non admin profiles from the admin reports", async () => {
+    const unauthenticated = await fetch(
+      getUrl("/admin/best-profession?start=2020-08-15&end=2020-08-17")
+    );
+    expect(unauthenticated.status).toBe(401);
+
+    const client = await fetch(
+      getUrl("/admin/best-profession?start=2020-08-15&end=2020-08-17"),
+      { headers: { profile_id: "1" } }
+    );
+    expect(client.status).toBe(403);
+  });
+
+  it("it should forbid a client from depositing into another client's balance", async () => {
+    const output = await fetch(getUrl("/balances/deposit/1"), {
+      method: "POST",
+      body: JSON.stringify({ amount: 10 }),
+      headers: {
+        "Content-Type": "application/json",
+        profile_id: "2",
+      },
+    });
+
+    expect(output.status).toBe(403);
+  });
+
+  it("it should let an admin deposit into a client's balance", async () => {
+    const output = await fetch(getUrl("/balances/deposit/1"), {
+      method: "POST",
+      body: JSON.stringify({ amount: 10 }),
+      headers: {
+        "Content-Type": "application/json",
+        profile_id: "9",
+      },
+    });
+
+    expect(output.status).toBe(200);
+    expect((await output.json()).balance).toBe(1150 + 10);
+  });
+
+  it("it should let a client propose a contract that the contractor accepts", async () => {
+    const created = await fetch(getUrl("/contracts"), {
+      method: "POST",
+      body: JSON.stringify({ ContractorId: 8, terms: "new terms" }),
+      headers: {
+        "Content-Type": "application/json",
+        profile_id: "1",
+      },
+    });
+
+    expect(created.status).toBe(201);
+    const contract = await created.json();
+    expect(contract.status).toBe("new");
+    expect(contract.ClientId).toBe(1);
+
+    const byClient = await fetch(getUrl(`/contracts/${contract.id}/accept`), {
+      method: "POST",
+      headers: { profile_id: "1" },
+    });
+    expect(byClient.status).toBe(403);
+
+    const accepted = await fetch(getUrl(`/contracts/${contract.id}/accept`), {
+      method: "POST",
+      headers: { profile_id: "8" },
+    });
+    expect(accepted.status).toBe(200);
+    expect((await accepted.json()).status).toBe("in_progress");
+
+    const again = await fetch(getUrl(`/contracts/${contract.id}/accept`), {
+      method: "POST",
+      headers: { profile_id: "8" },
+    });
+    expect(again.status).toBe(409);
+    expect((await again.json()).code).toBe("invalid_contract_transition");
+  });
+
+  it("it should not let a contractor propose a contract", async () => {
+    const output = await fetch(getUrl("/contracts"), {
+      method: "POST",
+      body: JSON.stringify({ ContractorId: 8, terms: "new terms" }),
+      headers: {
+        "Content-Type": "application/json",
+        profile_id: "6",
+      },
+    });
+
+    expect(output.status).toBe(403);
+  });
+
+  it("it should refuse to terminate a contract with unpaid jobs unless forced", async () => {
+    const terminate = (body) =>
+      fetch(getUrl("/contracts/2/terminate"), {
+        method: "POST",
+        body: JSON.stringify(body),
+        headers: {
+          "Content-Type": "application/json",
+          profile_id: "1",
+        },
+      });
+
+    const refused = await terminate({});
+    expect(refused.status).toBe(409);
+    expect((await refused.json()).code).toBe("unpaid_jobs");
+
+    const forced = await terminate({ force: true });
+    expect(forced.status).toBe(200);
+    expect((await forced.json()).status).toBe("terminated");
+
+    const again = await terminate({ force: true });
+    expect(again.status).toBe(409);
+    expect((await again.json()).code).toBe("invalid_contract_transition");
+  });
+
+  it("it should not let a profile outside of the contract terminate it", async () => {
+    const output = await fetch(getUrl("/contracts/2/terminate"), {
+      method: "POST",
+      headers: { profile_id: "2" },
+    });
+
+    expect(output.status).toBe(404);
+  });
+
+  it("it should take a job from draft through approval to payment", async () => {
+    const created = await fetch(getUrl("/contracts/2/jobs"), {
+      method: "POST",
+      body: JSON.stringify({ description: "new work", price: 50.25 }),
+      headers: {
+        "Content-Type": "application/json",
+        profile_id: "6",
+      },
+    });
+    expect(created.status).toBe(201);
+    const job = await created.json();
+    expect(job.status).toBe("draft");
+    expect(job.price).toBe(50.25);
+
+    const step = (action, profileId) =>
+      fetch(getUrl(`/jobs/${job.id}/${action}`), {
+        method: "POST",
+        headers: { profile_id: profileId },
+      });
+
+    const early = await step("pay", "1");
+    expect(early.status).toBe(409);
+    expect((await early.json()).code).toBe("invalid_job_transition");
+
+    expect((await step("submit", "6")).status).toBe(200);
+    const approved = await step("approve", "1");
+    expect(approved.status).toBe(200);
+    expect((await approved.json()).status).toBe("approved");
+
+    const paid = await step("pay", "1");
+    expect(paid.status).toBe(200);
+    const body = await paid.json();
+    expect(body.paid).toBe(true);
+    expect(body.status).toBe("paid");
+  });
+
+  it("it should only let the contractor log jobs on an in progress contract", async () => {
+    const log = (contractId, profileId) =>
+      fetch(getUrl(`/contracts/${contractId}/jobs`), {
+        method: "POST",
+        body: JSON.stringify({ description: "new work", price: 10 }),
+        headers: {
+          "Content-Type": "application/json",
+          profile_id: profileId,
+        },
+      });
+
+    // Contract 5 is new, contract 2 belongs to contractor 6
+    expect((await log(5, "8")).status).toBe(409);
+    expect((await log(2, "7")).status).toBe(404);
+  });
+
+  it("it should send an edited job back to draft and refuse edits once paid", async () => {
+    const edit = (jobId, body) =>
+      fetch(getUrl(`/jobs/${jobId}`), {
+        method: "PATCH",
+        body: JSON.stringify(body),
+        headers: {
+          "Content-Type": "application/json",
+          profile_id: "6",
+        },
+      });
+
+    const edited = await edit(2, { price: 250 });
+    expect(edited.status).toBe(200);
+    const job = await edited.json();
+    expect(job.price).toBe(250);
+    expect(job.status).toBe("draft");
+
+    const paid = await edit(8, { description: "changed" });
+    expect(paid.status).toBe(409);
+    expect((await paid.json()).code).toBe("job_already_paid");
+  });
+
+  it("it should let the client reject a submitted job", async () => {
+    const { Job } = sequelize.models;
+    await Job.update({ status: "submitted" }, { where: { id: 2 } });
+
+    const rejected = await fetch(getUrl("/jobs/2/reject"), {
+      method: "POST",
+      headers: { profile_id: "1" },
+    });
+    expect(rejected.status).toBe(200);
+    expect((await rejected.json()).status).toBe("rejected");
+
+    const byContractor = await fetch(getUrl("/jobs/2/approve"), {
+      method: "POST",
+      headers: { profile_id: "6" },
+    });
+    expect(byContractor.status).toBe(403);
+  });
+
+  it("it should report every invalid field in a consistent error body", async () => {
+    const output = await fetch(getUrl("/contracts"), {
+      method: "POST",
+      body: JSON.stringify({ ContractorId: "abc" }),
+      headers: {
+        "Content-Type": "application/json",
+        profile_id: "1",
+      },
+    });
+
+    expect(output.status).toBe(400);
+    const body = await output.json();
+    expect(body.code).toBe("validation_failed");
+    expect(typeof body.message).toBe("string");
+    expect(body.details.errors.map((e) => e.field)).toEqual([
+      "ContractorId",
+      "terms",
+    ]);
+  });
+
+  it("it should answer malformed JSON, unknown routes and auth failures with JSON errors", async () => {
+    const malformed = await fetch(getUrl("/balances/deposit/1"), {
+      method: "POST",
+      body: "{ amount: ",
+      headers: {
+        "Content-Type": "application/json",
+        profile_id: "1",
+      },
+    });
+    expect(malformed.status).toBe(400);
+    expect((await malformed.json()).code).toBe("invalid_json");
+
+    const unknown = await fetch(getUrl("/nothing-here"));
+    expect(unknown.status).toBe(404);
+    expect((await unknown.json()).code).toBe("not_found");
+
+    const unauthenticated = await fetch(getUrl("/contracts"));
+    expect(unauthenticated.status).toBe(401);
+    expect((await unauthenticated.json()).code).toBe("unauthenticated");
+  });
+
+  it("it should reject a non numeric id in the path", async () => {
+    const output = await fetch(getUrl("/contracts/abc"), {
+      headers: {
+        profile_id: "1",
+      },
+    });
+
+    expect(output.status).toBe(400);
+    expect((await output.json()).details.errors[0]).toEqual({
+      location: "params",
+      field: "id",
+      message: "id must be an integer",
+    });
+  });
+
+  it("it should page through contracts with a cursor and report the total", async () => {
+    const getPage = (query) =>
+      fetch(getUrl(`/contracts?${query}`), {
+        headers: {
+          profile_id: "4",
+        },
+      }).then((output) => output.json());
+
+    // Client 4 has contracts 7, 8 and 9
+    const first = await getPage("limit=2&sort=-id");
+    expect(first.total).toBe(3);
+    expect(first.data.map((c) => c.id)).toEqual([9, 8]);
+
+    const second = await getPage(`limit=2&sort=-id&cursor=${first.nextCursor}`);
+    expect(second.data.map((c) => c.id)).toEqual([7]);
+    expect(second.nextCursor).toBe(null);
+  });
+
+  it("it should filter contracts by counterparty and status", async () => {
+    const output = await fetch(getUrl("/contracts?counterpartyId=6"), {
+      headers: {
+        profile_id: "4",
+      },
+    });
+
+    expect(output.status).toBe(200);
+    const body = await output.json();
+    expect(body.data.map((c) => c.id)).toEqual([8]);
+
+    const none = await fetch(getUrl("/contracts?status=new"), {
+      headers: {
+        profile_id: "4",
+      },
+    });
+    expect((await none.json()).total).toBe(0);
+  });
+
+  it("it should filter and sort unpaid jobs by price", async () => {
+    const output = await fetch(
+      getUrl("/jobs/unpaid?sort=-price&minPrice=150&maxPrice=250"),
+      {
+        headers: {
+          profile_id: "2",
+        },
+      }
+    );
+
+    expect(output.status).toBe(200);
+    const body = await output.json();
+    expect(body.data.map((j) => j.price)).toEqual([202, 200]);
+    expect(body.total).toBe(2);
+  });
+
+  it("it should reject a cursor issued for a different sort", async () => {
+    const first = await fetch(getUrl("/contracts?limit=1"), {
+      headers: {
+        profile_id: "4",
+      },
+    }).then((output) => output.json());
+
+    const output = await fetch(
+      getUrl(`/contracts?limit=1&sort=-id&cursor=${first.nextCursor}`),
+      {
+        headers: {
+          profile_id: "4",
+        },
+      }
+    );
+
+    expect(output.status).toBe(400);
+    expect((await output.json()).details.errors[0].field).toBe("cursor");
+  });
+
+  it("it should debit a contractor's balance into a pending payout and refund it on cancel", async () => {
+    const { Profile } = sequelize.models;
+    const withdrawn = await fetch(getUrl("/balances/withdraw"), {
+      method: "POST",
+      body: JSON.stringify({ amount: 100.5 }),
+      headers: {
+        "Content-Type": "application/json",
+        profile_id: "6",
+      },
+    });
+
+    expect(withdrawn.status).toBe(201);
+    const payout = await withdrawn.json();
+    expect(payout.status).toBe("pending");
+    expect(payout.amount).toBe(100.5);
+    expect((await Profile.findByPk(6)).balance).toBe(1214 - 100.5);
+
+    const cancelled = await fetch(getUrl(`/payouts/${payout.id}/cancel`), {
+      method: "POST",
+      headers: { profile_id: "6" },
+    });
+    expect(cancelled.status).toBe(200);
+    expect((await cancelled.json()).status).toBe("cancelled");
+    expect((await Profile.findByPk(6)).balance).toBe(1214);
+
+    const again = await fetch(getUrl(`/payouts/${payout.id}/cancel`), {
+      method: "POST",
+      headers: { profile_id: "6" },
+    });
+    expect(again.status).toBe(409);
+  });
+
+  it("it should not let a contractor withdraw more than their balance", async () => {
+    const output = await fetch(getUrl("/balances/withdraw"), {
+      method: "POST",
+      body: JSON.stringify({ amount: 22.01 }),
+      headers: {
+        "Content-Type": "application/json",
+        profile_id: "7",
+      },
+    });
+
+    expect(output.status).toBe(402);
+  });
+
+  it("it should hand pending payouts to the payout provider", async () => {
+    const provider = createFakeProvider();
+    app.set("payoutProvider", provider);
+
+    const withdrawn = await fetch(getUrl("/balances/withdraw"), {
+      method: "POST",
+      body: JSON.stringify({ amount: 14 }),
+      headers: {
+        "Content-Type": "application/json",
+        profile_id: "5",
+      },
+    });
+    const { id } = await withdrawn.json();
+
+    const processed = await fetch(getUrl("/admin/payouts/process"), {
+      method: "POST",
+      headers: { profile_id: "9" },
+    });
+    expect(await processed.json()).toEqual({
+      paid: 1,
+      processing: 0,
+      failed: 0,
+    });
+    expect(provider.payouts).toEqual([
+      expect.objectContaining({ payoutId: id, profileId: 5, amount: 14 }),
+    ]);
+
+    const payout = await fetch(getUrl(`/payouts/${id}`), {
+      headers: { profile_id: "5" },
+    }).then((output) => output.json());
+    expect(payout.status).toBe("paid");
+    expect(payout.providerReference).toBe(provider.payouts[0].reference);
+
+    const cancelled = await fetch(getUrl(`/payouts/${id}/cancel`), {
+      method: "POST",
+      headers: { profile_id: "5" },
+    });
+    expect(cancelled.status).toBe(409);
+  });
+
+  it("it should settle payouts once the payout provider stops processing them", async () => {
+    const { Profile } = sequelize.models;
+    const provider = createFakeProvider({ status: "processing" });
+    app.set("payoutProvider", provider);
+    const process = () =>
+      fetch(getUrl("/admin/payouts/process"), {
+        method: "POST",
+        headers: { profile_id: "9" },
+      }).then((output) => output.json());
+    const payout = (id) =>
+      fetch(getUrl(`/payouts/${id}`), {
+        headers: { profile_id: "5" },
+      }).then((output) => output.json());
+
+    const ids = [];
+    for (const amount of [10, 4]) {
+      const withdrawn = await fetch(getUrl("/balances/withdraw"), {
+        method: "POST",
+        body: JSON.stringify({ amount }),
+        headers: { "Content-Type": "application/json", profile_id: "5" },
+      });
+      ids.push((await withdrawn.json()).id);
+    }
+
+    expect(await process()).toEqual({ paid: 0, processing: 2, failed: 0 });
+    expect(await process()).toEqual({ paid: 0, processing: 2, failed: 0 });
+    const audit = await fetch(
+      getUrl(`/admin/audit?targetType=Payout&targetId=${ids[0]}`),
+      { headers: { profile_id: "9" } }
+    ).then((output) => output.json());
+    expect(audit.data.map(({ action }) => action)).toEqual([
+      "payout.accept",
+      "payout.processing",
+      "payout.request",
+    ]);
+
+    Object.assign(provider.payouts[0], { status: "paid" });
+    Object.assign(provider.payouts[1], {
+      status: "failed",
+      failureReason: "account closed",
+    });
+    expect(await process()).toEqual({ paid: 1, processing: 0, failed: 1 });
+
+    expect(await payout(ids[0])).toMatchObject({ status: "paid" });
+    expect(await payout(ids[1])).toMatchObject({
+      status: "failed",
+      failureReason: "account closed",
+    });
+    expect((await Profile.findByPk(5)).balance).toBe(64 - 10);
+    expect(await process()).toEqual({ paid: 0, processing: 0, failed: 0 });
+
+    const reconciliation = await fetch(getUrl("/admin/ledger/reconciliation"), {
+      headers: { profile_id: "9" },
+    }).then((output) => output.json());
+    expect(reconciliation.balanced).toBe(true);
+  });
+
+  it("it should hand over again a payout claimed but left without a reference", async () => {
+    const { Payout } = sequelize.models;
+    const provider = createFakeProvider();
+    app.set("payoutProvider", provider);
+    const withdrawn = await fetch(getUrl("/balances/withdraw"), {
+      method: "POST",
+      body: JSON.stringify({ amount: 14 }),
+      headers: { "Content-Type": "application/json", profile_id: "5" },
+    });
+    const { id } = await withdrawn.json();
+    // As if the process crashed straight after claiming it
+    await Payout.update({ status: "processing" }, { where: { id } });
+
+    const processed = await fetch(getUrl("/admin/payouts/process"), {
+      method: "POST",
+      headers: { profile_id: "9" },
+    });
+
+    expect(await processed.json()).toEqual({
+      paid: 1,
+      processing: 0,
+      failed: 0,
+    });
+    expect(await Payout.findByPk(id)).toMatchObject({
+      status: "paid",
+      providerReference: provider.payouts[0].reference,
+    });
+  });
+
+  it("it should refund payouts the payout provider refuses", async () => {
+    const { Profile } = sequelize.models;
+    app.set(
+      "payoutProvider",
+      createFakeProvider({ failWith: "account closed" })
+    );
+
+    await fetch(getUrl("/balances/withdraw"), {
+      method: "POST",
+      body: JSON.stringify({ amount: 14 }),
+      headers: {
+        "Content-Type": "application/json",
+        profile_id: "5",
+      },
+    });
+
+    const processed = await fetch(getUrl("/admin/payouts/process"), {
+      method: "POST",
+      headers: { profile_id: "9" },
+    });
+    expect((await processed.json()).failed).toBe(1);
+
+    const { data } = await fetch(getUrl("/payouts?status=failed"), {
+      headers: { profile_id: "5" },
+    }).then((output) => output.json());
+    expect(data[0].failureReason).toBe("account closed");
+    expect((await Profile.findByPk(5)).balance).toBe(64);
+
+    const reconciliation = await fetch(getUrl("/admin/ledger/reconciliation"), {
+      headers: { profile_id: "9" },
+    }).then((output) => output.json());
+    expect(reconciliation.balanced).toBe(true);
+  });
+
+  it("it should name the rule refusing a deposit over the allowance", async () => {
+    const output = await fetch(getUrl("/balances/deposit/1"), {
+      method: "POST",
+      body: JSON.stringify({ amount: 50.26 }),
+      headers: { "Content-Type": "application/json", profile_id: "1" },
+    });
+
+    // 25% of the 201 left to pay on job 2
+    expect(output.status).toBe(403);
+    const body = await output.json();
+    expect(body.code).toBe("deposit_limit_exceeded");
+    expect(body.details).toEqual({
+      rule: "outstandingJobsShare",
+      allowance: 50.25,
+    });
+  });
+
+  it("it should report how much a client may deposit right now and why", async () => {
+    const output = await fetch(getUrl("/balances/deposit/1/allowance"), {
+      headers: { profile_id: "1" },
+    });
+
+    expect(output.status).toBe(200);
+    const body = await output.json();
+    expect(body.allowance).toBe(50.25);
+    expect(body.limitedBy.rule).toBe("outstandingJobsShare");
+    expect(body.rules).toHaveLength(1);
+
+    const forbidden = await fetch(getUrl("/balances/deposit/1/allowance"), {
+      headers: { profile_id: "2" },
+    });
+    expect(forbidden.status).toBe(403);
+  });
+
+  it("it should apply the deposit rules of the client's tier in order", async () => {
+    app.set(
+      "depositPolicy",
+      createDepositPolicy({
+        default: [{ rule: "outstandingJobsShare", percent: 25 }],
+        tiers: {
+          premium: [
+            { rule: "outstandingJobsShare", percent: 100 },
+            { rule: "perTransactionCap", max: 100 },
+            { rule: "rollingWindow", hours: 24, max: 150 },
+          ],
+        },
+      })
+    );
+    await sequelize.models.Profile.update(
+      { tier: "premium" },
+      { where: { id: 1 } }
+    );
+    const deposit = (amount) =>
+      fetch(getUrl("/balances/deposit/1"), {
+        method: "POST",
+        body: JSON.stringify({ amount }),
+        headers: { "Content-Type": "application/json", profile_id: "1" },
+      });
+
+    const overCap = await deposit(120);
+    expect(overCap.status).toBe(403);
+    expect((await overCap.json()).code).toBe("transaction_cap_exceeded");
+
+    expect((await deposit(100)).status).toBe(200);
+
+    const overWindow = await deposit(60);
+    expect(overWindow.status).toBe(403);
+    const body = await overWindow.json();
+    expect(body.code).toBe("rolling_window_exceeded");
+    expect(body.details).toEqual({ rule: "rollingWindow", allowance: 50 });
+
+    const allowance = await fetch(getUrl("/balances/deposit/1/allowance"), {
+      headers: { profile_id: "1" },
+    });
+    expect((await allowance.json()).limitedBy.rule).toBe("rollingWindow");
+  });
+
+  it("it should pay for a job in several partial payments", async () => {
+    const { Profile, Payment } = sequelize.models;
+    const pay = (amount) =>
+      fetch(getUrl("/jobs/2/pay"), {
+        method: "POST",
+        body: amount === undefined ? undefined : JSON.stringify({ amount }),
+        headers: { "Content-Type": "application/json", profile_id: "1" },
+      });
+
+    const partial = await pay(100);
+    expect(partial.status).toBe(200);
+    const job = await partial.json();
+    expect(job.paid).not.toBe(true);
+    expect(job.status).toBe("approved");
+    expect(job.amountPaid).toBe(100);
+    expect(job.amountDue).toBe(101);
+
+    const unpaid = await fetch(getUrl("/jobs/unpaid"), {
+      headers: { profile_id: "1" },
+    });
+    const { data } = await unpaid.json();
+    expect(data.find(({ id }) => id === 2).amountDue).toBe(101);
+
+    const tooMuch = await pay(150);
+    expect(tooMuch.status).toBe(422);
+    expect((await tooMuch.json()).details).toEqual({ amountDue: 101 });
+
+    // Without an amount the remainder is paid
+    const rest = await pay();
+    expect(rest.status).toBe(200);
+    const settled = await rest.json();
+    expect(settled.paid).toBe(true);
+    expect(settled.status).toBe("paid");
+    expect(settled.amountDue).toBe(0);
+
+    expect(await Payment.count({ where: { JobId: 2 } })).toBe(2);
+    expect((await Profile.findByPk(1)).balance).toBe(1150 - 201);
+    expect((await Profile.findByPk(6)).balance).toBe(1214 + 201);
+  });
+
+  it("it should not lower a job's price below what has already been paid", async () => {
+    await fetch(getUrl("/jobs/2/pay"), {
+      method: "POST",
+      body: JSON.stringify({ amount: 150 }),
+      headers: { "Content-Type": "application/json", profile_id: "1" },
+    });
+
+    const output = await fetch(getUrl("/jobs/2"), {
+      method: "PATCH",
+      body: JSON.stringify({ price: 100 }),
+      headers: { "Content-Type": "application/json", profile_id: "6" },
+    });
+
+    expect(output.status).toBe(409);
+    expect((await output.json()).code).toBe("price_below_amount_paid");
+  });
+
+  it("it should refund a job's payments to the client in part or in full", async () => {
+    const { Profile, Refund } = sequelize.models;
+    await fetch(getUrl("/jobs/2/pay"), {
+      method: "POST",
+      headers: { profile_id: "1" },
+    });
+    const refund = (body) =>
+      fetch(getUrl("/jobs/2/refund"), {
+        method: "POST",
+        body: JSON.stringify(body),
+        headers: { "Content-Type": "application/json", profile_id: "6" },
+      });
+
+    const partial = await refund({ amount: 50, reason: "Half a day off" });
+    expect(partial.status).toBe(200);
+    const job = await partial.json();
+    expect(job.status).toBe("paid");
+    expect(job.amountRefunded).toBe(50);
+
+    const rest = await refund({ reason: "Paid by mistake" });
+    expect(rest.status).toBe(200);
+    expect((await rest.json()).status).toBe("refunded");
+
+    const again = await refund({ reason: "Paid by mistake" });
+    expect(again.status).toBe(409);
+
+    expect(await Refund.count({ where: { JobId: 2 } })).toBe(2);
+    expect((await Profile.findByPk(1)).balance).toBe(1150);
+    expect((await Profile.findByPk(6)).balance).toBe(1214);
+
+    const reconciliation = await fetch(getUrl("/admin/ledger/reconciliation"), {
+      headers: { profile_id: "9" },
+    }).then((output) => output.json());
+    expect(reconciliation.balanced).toBe(true);
+  });
+
+  it("it should refund a partly paid job, by its contractor or an admin, and keep it approved", async () => {
+    const { Profile, Job } = sequelize.models;
+    await fetch(getUrl("/jobs/2/pay"), {
+      method: "POST",
+      body: JSON.stringify({ amount: 50 }),
+      headers: { "Content-Type": "application/json", profile_id: "1" },
+    });
+    const refund = (profileId, body) =>
+      fetch(getUrl("/jobs/2/refund"), {
+        method: "POST",
+        body: JSON.stringify({ reason: "Paid by mistake", ...body }),
+        headers: { "Content-Type": "application/json", profile_id: profileId },
+      });
+
+    expect((await refund("6", { amount: 20 })).status).toBe(200);
+    const rest = await refund("9");
+    expect(rest.status).toBe(200);
+    expect(await rest.json()).toMatchObject({
+      status: "approved",
+      amountPaid: 50,
+      amountRefunded: 50,
+    });
+
+    const again = await refund("9");
+    expect(again.status).toBe(409);
+    expect((await again.json()).code).toBe("nothing_to_refund");
+
+    expect((await Job.findByPk(2)).paid).not.toBe(true);
+    expect((await Profile.findByPk(1)).balance).toBe(1150);
+    expect((await Profile.findByPk(6)).balance).toBe(1214);
+  });
+
+  it("it should owe refunded payments again when paying a job after a refund", async () => {
+    const { Profile } = sequelize.models;
+    const send = (path, profileId, body = {}) =>
+      fetch(getUrl(path), {
+        method: "POST",
+        body: JSON.stringify(body),
+        headers: { "Content-Type": "application/json", profile_id: profileId },
+      });
+
+    await send("/jobs/2/pay", "1", { amount: 50 });
+    const refunded = await send("/jobs/2/refund", "6", { reason: "Mistake" });
+    expect((await refunded.json()).amountDue).toBe(201);
+
+    const tooMuch = await send("/jobs/2/pay", "1", { amount: 202 });
+    expect((await tooMuch.json()).details).toEqual({ amountDue: 201 });
+
+    const output = await send("/jobs/2/pay", "1");
+    expect(output.status).toBe(200);
+    expect(await output.json()).toMatchObject({
+      status: "paid",
+      paid: true,
+      amountPaid: 251,
+      amountRefunded: 50,
+      amountDue: 0,
+    });
+    expect((await Profile.findByPk(1)).balance).toBe(1150 - 201);
+    expect((await Profile.findByPk(6)).balance).toBe(1214 + 201);
+  });
+
+  it("it should only let an admin force a refund beyond the contractor's balance", async () => {
+    const refund = (profileId, body) =>
+      fetch(getUrl("/jobs/6/refund"), {
+        method: "POST",
+        body: JSON.stringify({ reason: "Disputed", ...body }),
+        headers: { "Content-Type": "application/json", profile_id: profileId },
+      });
+
+    // Contractor 7 holds 22 of the 2020 paid for job 6
+    expect((await refund("7")).status).toBe(402);
+    expect((await refund("7", { force: true })).status).toBe(403);
+
+    const forced = await refund("9", { force: true });
+    expect(forced.status).toBe(200);
+    const contractor = await sequelize.models.Profile.findByPk(7);
+    expect(contractor.balance).toBe(22 - 2020);
+
+    // Refunded amounts no longer count towards the reports, from the day of the refund
+    const output = await fetch(
+      getUrl("/admin/best-clients?start=2020-08-10&end=2099-01-01"),
+      { headers: { profile_id: "9" } }
+    );
+    const body = await output.json();
+    expect(body[0]).toEqual({ id: 1, fullName: "Harry Potter", paid: 442 });
+  });
+
+  it("it should require a reason to refund a job", async () => {
+    const output = await fetch(getUrl("/jobs/6/refund"), {
+      method: "POST",
+      headers: { profile_id: "9" },
+    });
+
+    expect(output.status).toBe(400);
+    expect((await output.json()).details.errors[0].field).toBe("reason");
+  });
+
+  describe("with contracts in another currency", () => {
+    beforeEach(async () => {
+      const { Contract, Job } = sequelize.models;
+      await Contract.create({
+        id: 10,
+        terms: "bla bla bla",
+        status: "in_progress",
+        currency: "EUR",
+        ClientId: 1,
+        ContractorId: 6,
+      });
+      await Job.create({
+        id: 16,
+        description: "work",
+        price: 100,
+        status: "approved",
+        ContractId: 10,
+      });
+    });
+
+    const pay = (body) =>
+      fetch(getUrl("/jobs/16/pay"), {
+        method: "POST",
+        body: JSON.stringify(body),
+        headers: { "Content-Type": "application/json", profile_id: "1" },
+      });
+
+    it("it should refuse to pay from another currency without an exchange rate", async () => {
+      const output = await pay({ currency: "USD" });
+
+      expect(output.status).toBe(422);
+      const body = await output.json();
+      expect(body.code).toBe("fx_rate_missing");
+      expect(body.details).toEqual({ from: "EUR", to: "USD" });
+    });
+
+    it("it should convert payments from another currency and record the rate", async () => {
+      const { Profile, Payment, Balance } = sequelize.models;
+      app.set("fxRates", createFxTable({ EUR: 1.1 }));
+
+      const output = await pay({ currency: "usd" });
+      expect(output.status).toBe(200);
+      expect((await output.json()).paid).toBe(true);
+
+      const payment = await Payment.findOne({ where: { JobId: 16 } });
+      expect(payment.currency).toBe("EUR");
+      expect(payment.amount).toBe(100);
+      expect(payment.sourceCurrency).toBe("USD");
+      expect(payment.sourceAmount).toBe(110);
+      expect(Number(payment.fxRate)).toBe(1.1);
+
+      expect((await Profile.findByPk(1)).balance).toBe(1150 - 110);
+      // The contractor is paid in the contract's currency
+      expect((await Profile.findByPk(6)).balance).toBe(1214);
+      const balance = await Balance.findOne({
+        where: { ProfileId: 6, currency: "EUR" },
+      });
+      expect(balance.amount).toBe(100);
+
+      const reconciliation = await fetch(
+        getUrl("/admin/ledger/reconciliation"),
+        { headers: { profile_id: "9" } }
+      ).then((output) => output.json());
+      expect(reconciliation.balanced).toBe(true);
+
+      const report = await fetch(
+        getUrl(
+          "/admin/best-clients?start=2020-08-10&end=2099-01-01&currency=EUR"
+        ),
+        { headers: { profile_id: "9" } }
+      ).then((output) => output.json());
+      // 442 USD at 1 / 1.1, plus the 100 EUR job
+      expect(report[1]).toEqual({
+        id: 1,
+        fullName: "Harry Potter",
+        paid: 401.82 + 100,
+      });
+    });
+
+    it("it should deposit into and withdraw from balances in other currencies", async () => {
+      const allowance = await fetch(
+        getUrl("/balances/deposit/1/allowance?currency=EUR"),
+        { headers: { profile_id: "1" } }
+      ).then((output) => output.json());
+      // 25% of the 100 EUR left to pay on job 16
+      expect(allowance.allowance).toBe(25);
+
+      const deposit = await fetch(getUrl("/balances/deposit/1"), {
+        method: "POST",
+        body: JSON.stringify({ amount: 25, currency: "EUR" }),
+        headers: { "Content-Type": "application/json", profile_id: "1" },
+      });
+      expect(deposit.status).toBe(200);
+      const client = await deposit.json();
+      expect(client.balance).toBe(1150);
+      expect(client.balances).toEqual([
+        { currency: "USD", amount: 1150 },
+        { currency: "EUR", amount: 25 },
+      ]);
+
+      // The contractor holds no EUR until paid
+      const withdraw = (amount) =>
+        fetch(getUrl("/balances/withdraw"), {
+          method: "POST",
+          body: JSON.stringify({ amount, currency: "EUR" }),
+          headers: { "Content-Type": "application/json", profile_id: "6" },
+        });
+      expect((await withdraw(10)).status).toBe(402);
+
+      expect((await pay({ amount: 25 })).status).toBe(200);
+      const payout = await withdraw(10);
+      expect(payout.status).toBe(201);
+      expect((await payout.json()).currency).toBe("EUR");
+    });
+  });
+
+  it("it should audit a payment with the actor, request id and job before and after", async () => {
+    const output = await fetch(getUrl("/jobs/2/pay"), {
+      method: "POST",
+      headers: { profile_id: "1", "X-Request-Id": "req-123" },
+    });
+    expect(output.headers.get("X-Request-Id")).toBe("req-123");
+
+    const audit = await fetch(
+      getUrl("/admin/audit?targetType=Job&targetId=2"),
+      { headers: { profile_id: "9" } }
+    );
+    expect(audit.status).toBe(200);
+    const { data, total } = await audit.json();
+    expect(total).toBe(1);
+    expect(data[0]).toMatchObject({
+      action: "job.pay",
+      targetType: "Job",
+      targetId: 2,
+      ActorId: 1,
+      requestId: "req-123",
+    });
+    expect(data[0].before.status).toBe("approved");
+    expect(data[0].after.status).toBe("paid");
+    expect(data[0].after.amountPaid).toBe(201);
+  });
+
+  it("it should not audit mutations that were rolled back", async () => {
+    const { AuditEvent } = sequelize.models;
+    const output = await fetch(getUrl("/jobs/15/pay"), {
+      method: "POST",
+      headers: { profile_id: "4" },
+    });
+
+    expect(output.status).toBe(402);
+    expect(await AuditEvent.count()).toBe(0);
+  });
+
+  it("it should filter the audit log by actor, action and time range", async () => {
+    await fetch(getUrl("/balances/deposit/1"), {
+      method: "POST",
+      body: JSON.stringify({ amount: 10 }),
+      headers: { "Content-Type": "application/json", profile_id: "1" },
+    });
+    await fetch(getUrl("/contracts/2/terminate"), {
+      method: "POST",
+      body: JSON.stringify({ force: true }),
+      headers: { "Content-Type": "application/json", profile_id: "1" },
+    });
+
+    const audit = (query) =>
+      fetch(getUrl(`/admin/audit?${query}`), {
+        headers: { profile_id: "9" },
+      }).then((output) => output.json());
+
+    const byActor = await audit("actorId=1");
+    expect(byActor.data.map(({ action }) => action)).toEqual([
+      "contract.terminate",
+      "balance.deposit",
+    ]);
+
+    const deposits = await audit("action=balance.deposit");
+    expect(deposits.data[0].before.balance).toBe(1150);
+    expect(deposits.data[0].after.balance).toBe(1160);
+
+    const future = await audit("createdFrom=2099-01-01");
+    expect(future.total).toBe(0);
+
+    const forbidden = await fetch(getUrl("/admin/audit"), {
+      headers: { profile_id: "1" },
+    });
+    expect(forbidden.status).toBe(403);
+  });
+
+  describe("webhooks", () => {
+    let receiver;
+    let received;
+    let respondWith;
+    beforeAll(async () => {
+      // A local subscriber recording what it receives
+      receiver = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", (chunk) => (body += chunk));
+        req.on("end", () => {
+          received.push({ headers: req.headers, body });
+          res.writeHead(respondWith).end();
+        });
+      });
+      await new Promise((resolve) => receiver.listen(3002, resolve));
+    });
+
+    beforeEach(() => {
+      received = [];
+      respondWith = 200;
+    });
+
+    afterAll(() => {
+      receiver.close();
+    });
+
+    const subscribe = (events) =>
+      fetch(getUrl("/admin/webhooks"), {
+        method: "POST",
+        body: JSON.stringify({ url: "http://localhost:3002/hooks", events }),
+        headers: { "Content-Type": "application/json", profile_id: "9" },
+      }).then((output) => output.json());
+
+    const dispatch = () =>
+      fetch(getUrl("/admin/webhooks/dispatch"), {
+        method: "POST",
+        headers: { profile_id: "9" },
+      }).then((output) => output.json());
+
+    it("it should deliver signed events once the change is committed", async () => {
+      const { secret } = await subscribe(["job.paid"]);
+      expect(secret).toHaveLength(64);
+
+      // Rolled back, nothing to deliver
+      await fetch(getUrl("/jobs/15/pay"), {
+        method: "POST",
+        headers: { profile_id: "4" },
+      });
+      await fetch(getUrl("/jobs/2/pay"), {
+        method: "POST",
+        headers: { profile_id: "1" },
+      });
+
+      expect(received).toHaveLength(0);
+      expect(await dispatch()).toEqual({ delivered: 1, retrying: 0, dead: 0 });
+
+      expect(received).toHaveLength(1);
+      const [{ headers, body }] = received;
+      expect(headers["x-webhook-event"]).toBe("job.paid");
+      expect(headers["x-webhook-signature"]).toBe(
+        sign(secret, headers["x-webhook-timestamp"], body)
+      );
+      expect(JSON.parse(body)).toMatchObject({
+        type: "job.paid",
+        data: { jobId: 2, contractId: 2, price: 201, currency: "USD" },
+      });
+
+      // Delivered once only
+      expect(await dispatch()).toEqual({ delivered: 0, retrying: 0, dead: 0 });
+    });
+
+    it("it should deliver the events of a billing run from the scheduler's tick", async () => {
+      await subscribe(["job.paid"]);
+      await fetch(getUrl("/contracts/2/billing"), {
+        method: "PUT",
+        body: JSON.stringify({
+          interval: "month",
+          amount: 100,
+          autoPay: true,
+        }),
+        headers: { "Content-Type": "application/json", profile_id: "1" },
+      });
+      // Deliveries are due from when their event is emitted
+      const scheduler = createScheduler({
+        sequelize,
+        clock: () => new Date(Date.now() + 1000),
+        webhookMaxAttempts: 1,
+      });
+
+      expect(await scheduler.tick()).toEqual({
+        billing: { billed: 1, paid: 1, skipped: 0 },
+        webhooks: { delivered: 1, retrying: 0, dead: 0 },
+      });
+      expect(received).toHaveLength(1);
+      expect(JSON.parse(received[0].body)).toMatchObject({
+        type: "job.paid",
+        data: { contractId: 2, price: 100 },
+      });
+
+      // Given up on after webhookMaxAttempts
+      respondWith = 500;
+      await fetch(getUrl("/jobs/2/pay"), {
+        method: "POST",
+        headers: { profile_id: "1" },
+      });
+      expect(await scheduler.tick()).toEqual({
+        billing: { billed: 0, paid: 0, skipped: 0 },
+        webhooks: { delivered: 0, retrying: 0, dead: 1 },
+      });
+    });
+
+    it("it should only deliver the events a subscription listens to", async () => {
+      await subscribe(["contract.terminated"]);
+
+      await fetch(getUrl("/balances/deposit/1"), {
+        method: "POST",
+        body: JSON.stringify({ amount: 10 }),
+        headers: { "Content-Type": "application/json", profile_id: "1" },
+      });
+      await fetch(getUrl("/contracts/2/terminate"), {
+        method: "POST",
+        body: JSON.stringify({ force: true }),
+        headers: { "Content-Type": "application/json", profile_id: "1" },
+      });
+      await dispatch();
+
+      expect(received.map(({ headers }) => headers["x-webhook-event"])).toEqual(
+        ["contract.terminated"]
+      );
+    });
+
+    it("it should retry failed deliveries with backoff until they are dead, and retry dead ones on demand", async () => {
+      const { WebhookDelivery } = sequelize.models;
+      const { id } = await subscribe(["balance.deposited"]);
+      respondWith = 500;
+
+      await fetch(getUrl("/balances/deposit/1"), {
+        method: "POST",
+        body: JSON.stringify({ amount: 10 }),
+        headers: { "Content-Type": "application/json", profile_id: "1" },
+      });
+
+      expect(await dispatch()).toEqual({ delivered: 0, retrying: 1, dead: 0 });
+      // Not due again until the backoff has passed
+      expect(await dispatch()).toEqual({ delivered: 0, retrying: 0, dead: 0 });
+      const delivery = await WebhookDelivery.findOne();
+      expect(delivery.attempts).toBe(1);
+      expect(delivery.responseStatus).toBe(500);
+      expect(delivery.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+
+      for (let attempt = 2; attempt <= MAX_ATTEMPTS; attempt++) {
+        const later = new Date(Date.now() + 2 ** attempt * 60 * 1000);
+        await dispatchWebhooks(sequelize, { now: later });
+      }
+      expect(received).toHaveLength(MAX_ATTEMPTS);
+
+      const dead = await fetch(
+        getUrl(`/admin/webhooks/deliveries?status=dead&subscriptionId=${id}`),
+        { headers: { profile_id: "9" } }
+      ).then((output) => output.json());
+      expect(dead.total).toBe(1);
+      expect(dead.data[0].WebhookEvent.type).toBe("balance.deposited");
+
+      respondWith = 204;
+      const retry = await fetch(
+        getUrl(`/admin/webhooks/deliveries/${dead.data[0].id}/retry`),
+        { method: "POST", headers: { profile_id: "9" } }
+      );
+      expect(retry.status).toBe(200);
+      const audit = await fetch(
+        getUrl(
+          `/admin/audit?targetType=WebhookDelivery&targetId=${dead.data[0].id}`
+        ),
+        { headers: { profile_id: "9" } }
+      ).then((output) => output.json());
+      expect(audit.data).toMatchObject([
+        {
+          action: "webhook.retry",
+          ActorId: 9,
+          before: { status: "dead", attempts: MAX_ATTEMPTS },
+          after: { status: "pending", attempts: 0 },
+        },
+      ]);
+      expect(await dispatch()).toEqual({ delivered: 1, retrying: 0, dead: 0 });
+    });
+
+    it("it should manage subscriptions without ever returning their secret again", async () => {
+      const { id } = await subscribe(["job.paid"]);
+
+      const update = await fetch(getUrl(`/admin/webhooks/${id}`), {
+        method: "PATCH",
+        body: JSON.stringify({ active: false, events: ["job.refunded"] }),
+        headers: { "Content-Type": "application/json", profile_id: "9" },
+      });
+      expect(update.status).toBe(200);
+      const subscription = await update.json();
+      expect(subscription).toMatchObject({
+        active: false,
+        events: ["job.refunded"],
+      });
+      expect(subscription.secret).toBeUndefined();
+
+      const invalid = await fetch(getUrl("/admin/webhooks"), {
+        method: "POST",
+        body: JSON.stringify({ url: "not a url", events: ["job.eaten"] }),
+        headers: { "Content-Type": "application/json", profile_id: "9" },
+      });
+      expect(invalid.status).toBe(400);
+
+      const removed = await fetch(getUrl(`/admin/webhooks/${id}`), {
+        method: "DELETE",
+        headers: { profile_id: "9" },
+      });
+      expect(removed.status).toBe(204);
+      const gone = await fetch(getUrl(`/admin/webhooks/${id}`), {
+        headers: { profile_id: "9" },
+      });
+      expect(gone.status).toBe(404);
+    });
+  });
+
+  describe("reports", () => {
+    const report = (path, headers = {}) =>
+      fetch(getUrl(`/admin/reports/${path}`), {
+        headers: { profile_id: "9", ...headers },
+      });
+
+    it("it should report contractor earnings, highest first", async () => {
+      const output = await report(
+        "contractor-earnings?start=2020-08-10&end=2020-08-18&limit=3"
+      );
+
+      expect(output.status).toBe(200);
+      expect(await output.json()).toEqual([
+        {
+          id: 7,
+          fullName: "Alan Turing",
+          profession: "Programmer",
+          earned: 2020,
+        },
+        {
+          id: 6,
+          fullName: "Linus Torvalds",
+          profession: "Programmer",
+          earned: 663,
+        },
+        { id: 5, fullName: "John Lenon", profession: "Musician", earned: 221 },
+      ]);
+    });
+
+    it("it should report client spend net of refunds", async () => {
+      await fetch(getUrl("/jobs/6/refund"), {
+        method: "POST",
+        body: JSON.stringify({ amount: 1000, reason: "Disputed", force: true }),
+        headers: { "Content-Type": "application/json", profile_id: "9" },
+      });
+
+      const output = await report(
+        "client-spend?start=2020-08-10&end=2099-01-01&limit=1"
+      );
+      expect(await output.json()).toEqual([
+        { id: 4, fullName: "Ash Kethcum", spent: 1020 },
+      ]);
+
+      // The refund is dated by when it was made, not by the payment
+      const before = await report(
+        "client-spend?start=2020-08-10&end=2020-08-18&limit=1"
+      );
+      expect(await before.json()).toEqual([
+        { id: 4, fullName: "Ash Kethcum", spent: 2020 },
+      ]);
+    });
+
+    it("it should count partial payments on the day they were made", async () => {
+      await fetch(getUrl("/jobs/2/pay"), {
+        method: "POST",
+        body: JSON.stringify({ amount: 50 }),
+        headers: { "Content-Type": "application/json", profile_id: "1" },
+      });
+      const today = new Date().toISOString().slice(0, 10);
+
+      const spend = await report(
+        "client-spend?start=2020-08-10&end=2099-01-01"
+      );
+      expect((await spend.json())[1]).toEqual({
+        id: 1,
+        fullName: "Harry Potter",
+        spent: 442 + 50,
+      });
+
+      const revenue = await report(
+        `profession-revenue?start=${today}&end=2099-01-01&bucket=day`
+      );
+      expect(await revenue.json()).toEqual([
+        { period: today, profession: "Programmer", revenue: 50 },
+      ]);
+    });
+
+    it("it should report revenue per profession bucketed by week", async () => {
+      const output = await report(
+        "profession-revenue?start=2020-08-10&end=2020-08-18&bucket=week"
+      );
+
+      expect(await output.json()).toEqual([
+        { period: "2020-08-10", profession: "Programmer", revenue: 2683 },
+        { period: "2020-08-10", profession: "Musician", revenue: 21 },
+        { period: "2020-08-17", profession: "Fighter", revenue: 200 },
+        { period: "2020-08-17", profession: "Musician", revenue: 200 },
+      ]);
+
+      const invalid = await report(
+        "profession-revenue?start=2020-08-10&end=2020-08-18&bucket=year"
+      );
+      expect(invalid.status).toBe(400);
+    });
+
+    it("it should report what each client still owes", async () => {
+      const output = await report(
+        "outstanding?start=2020-01-01&end=2099-01-01"
+      );
+
+      expect(await output.json()).toEqual([
+        { id: 2, fullName: "Mr Robot", jobs: 2, outstanding: 402 },
+        { id: 4, fullName: "Ash Kethcum", jobs: 2, outstanding: 321 },
+        { id: 1, fullName: "Harry Potter", jobs: 1, outstanding: 201 },
+      ]);
+    });
+
+    it("it should owe refunded payments again in what each client owes", async () => {
+      const send = (path, profileId, body) =>
+        fetch(getUrl(path), {
+          method: "POST",
+          body: JSON.stringify(body),
+          headers: {
+            "Content-Type": "application/json",
+            profile_id: profileId,
+          },
+        });
+      await send("/jobs/2/pay", "1", { amount: 50 });
+      await send("/jobs/2/refund", "6", { amount: 20, reason: "Mistake" });
+
+      const output = await report(
+        "outstanding?start=2020-01-01&end=2099-01-01"
+      );
+      expect((await output.json())[2]).toEqual({
+        id: 1,
+        fullName: "Harry Potter",
+        jobs: 1,
+        outstanding: 171,
+      });
+    });
+
+    it("it should send reports as CSV when asked to", async () => {
+      const output = await report(
+        "contractor-earnings?start=2020-08-10&end=2020-08-18&limit=2",
+        { Accept: "text/csv" }
+      );
+
+      expect(output.status).toBe(200);
+      expect(output.headers.get("Content-Type")).toMatch(/^text\/csv/);
+      expect(await output.text()).toBe(
+        "id,fullName,profession,earned\r\n" +
+          "7,Alan Turing,Programmer,2020\r\n" +
+          "6,Linus Torvalds,Programmer,663\r\n"
+      );
+    });
+  });
+
+  describe("invoices", () => {
+    const pay = (jobId, body) =>
+      fetch(getUrl(`/jobs/${jobId}/pay`), {
+        method: "POST",
+        body: JSON.stringify(body),
+        headers: { "Content-Type": "application/json", profile_id: "1" },
+      });
+    const invoicesOf = async (jobId, profileId) =>
+      (
+        await (
+          await fetch(getUrl(`/invoices?jobId=${jobId}`), {
+            headers: { profile_id: profileId },
+          })
+        ).json()
+      ).data;
+
+    it("it should issue an invoice when a job is paid, numbered after the contractor's last one", async () => {
+      await pay(2);
+
+      const [invoice] = await invoicesOf(2, "1");
+      expect(invoice).toMatchObject({
+        number: "INV-6-00006",
+        sequence: 6,
+        currency: "USD",
+        total: 201,
+        lineItems: [{ jobId: 2, description: "work", price: 201, amount: 201 }],
+        client: { id: 1, firstName: "Harry", lastName: "Potter" },
+        contractor: { id: 6, firstName: "Linus", lastName: "Torvalds" },
+        ClientId: 1,
+        ContractorId: 6,
+      });
+    });
+
+    it("it should issue an invoice for every partial payment", async () => {
+      await pay(2, { amount: 50 });
+      await pay(2, { amount: 151 });
+
+      const invoices = await invoicesOf(2, "6");
+      expect(invoices.map(({ number, total }) => ({ number, total }))).toEqual([
+        { number: "INV-6-00007", total: 151 },
+        { number: "INV-6-00006", total: 50 },
+      ]);
+    });
+
+    it("it should not issue an invoice for a refused payment", async () => {
+      await pay(2, { amount: 500 });
+
+      expect(await invoicesOf(2, "1")).toEqual([]);
+    });
+
+    it("it should only show an invoice to the parties on it", async () => {
+      await pay(2);
+      const [{ id }] = await invoicesOf(2, "1");
+
+      const asContractor = await fetch(getUrl(`/invoices/${id}`), {
+        headers: { profile_id: "6" },
+      });
+      const asStranger = await fetch(getUrl(`/invoices/${id}`), {
+        headers: { profile_id: "2" },
+      });
+
+      expect(asContractor.status).toBe(200);
+      expect(asStranger.status).toBe(404);
+      expect(await invoicesOf(2, "2")).toEqual([]);
+    });
+
+    it("it should render an invoice as HTML or PDF", async () => {
+      await pay(2);
+      const [{ id }] = await invoicesOf(2, "1");
+
+      const html = await fetch(getUrl(`/invoices/${id}`), {
+        headers: { profile_id: "1", Accept: "text/html" },
+      });
+      expect(html.headers.get("content-type")).toMatch(/^text\/html/);
+      const page = await html.text();
+      expect(page).toContain("Invoice INV-6-00006");
+      expect(page).toContain("Linus Torvalds");
+      expect(page).toContain("201.00 USD");
+
+      const pdf = await fetch(getUrl(`/invoices/${id}`), {
+        headers: { profile_id: "1", Accept: "application/pdf" },
+      });
+      expect(pdf.headers.get("content-type")).toBe("application/pdf");
+      expect(pdf.headers.get("content-disposition")).toContain(
+        "INV-6-00006.pdf"
+      );
+      expect((await pdf.text()).startsWith("%PDF-1.4")).toBe(true);
+    });
+
+    it("it should refuse other formats", async () => {
+      await pay(2);
+      const [{ id }] = await invoicesOf(2, "1");
+
+      const output = await fetch(getUrl(`/invoices/${id}`), {
+        headers: { profile_id: "1", Accept: "text/csv" },
+      });
+
+      expect(output.status).toBe(406);
+      expect((await output.json()).code).toBe("not_acceptable");
+    });
+  });
+
+  describe("escrow", () => {
+    const post = (path, profileId, body) =>
+      fetch(getUrl(path), {
+        method: "POST",
+        body: JSON.stringify(body),
+        headers: { "Content-Type": "application/json", profile_id: profileId },
+      });
+    const reconciliation = async () =>
+      (
+        await fetch(getUrl("/admin/ledger/reconciliation"), {
+          headers: { profile_id: "9" },
+        })
+      ).json();
+
+    it("it should fund a contract's escrow from the client's balance", async () => {
+      const { Profile } = sequelize.models;
+      const output = await post("/contracts/2/fund", "1", { amount: 300 });
+
+      expect(output.status).toBe(200);
+      expect((await output.json()).escrow).toBe(300);
+      expect((await Profile.findByPk(1)).balance).toBe(1150 - 300);
+
+      const ledger = await fetch(
+        getUrl("/profiles/1/ledger?type=escrow_funding"),
+        { headers: { profile_id: "1" } }
+      );
+      expect((await ledger.json()).data).toMatchObject([
+        { side: "debit", amount: 300 },
+      ]);
+      expect(await reconciliation()).toEqual({
+        balanced: true,
+        mismatches: [],
+        escrowMismatches: [],
+      });
+    });
+
+    it("it should only let the client fund an active contract with money they have", async () => {
+      expect((await post("/contracts/2/fund", "6", { amount: 1 })).status).toBe(
+        403
+      );
+      expect((await post("/contracts/2/fund", "2", { amount: 1 })).status).toBe(
+        404
+      );
+
+      const tooMuch = await post("/contracts/2/fund", "1", { amount: 1150.01 });
+      expect(tooMuch.status).toBe(402);
+
+      const terminated = await post("/contracts/1/fund", "1", { amount: 1 });
+      expect(terminated.status).toBe(409);
+      expect((await terminated.json()).code).toBe("contract_not_active");
+    });
+
+    it("it should pay a job from the escrow first and the client's balance for the rest", async () => {
+      const { Profile, Contract, Payment } = sequelize.models;
+      await post("/contracts/2/fund", "1", { amount: 150 });
+
+      const output = await post("/jobs/2/pay", "1");
+
+      expect(output.status).toBe(200);
+      expect((await Contract.findByPk(2)).escrow).toBe(0);
+      expect((await Profile.findByPk(1)).balance).toBe(1150 - 201);
+      expect((await Profile.findByPk(6)).balance).toBe(1214 + 201);
+      expect(await Payment.findOne({ where: { JobId: 2 } })).toMatchObject({
+        amount: 201,
+        fromEscrow: 150,
+        sourceAmount: 51,
+      });
+      expect((await reconciliation()).balanced).toBe(true);
+    });
+
+    it("it should pay a job from the escrow alone when it covers it", async () => {
+      const { Profile, Contract } = sequelize.models;
+      await post("/contracts/2/fund", "1", { amount: 1000 });
+      await Profile.update({ balance: 0 }, { where: { id: 1 } });
+
+      const output = await post("/jobs/2/pay", "1");
+
+      expect(output.status).toBe(200);
+      expect((await Contract.findByPk(2)).escrow).toBe(1000 - 201);
+      expect((await Profile.findByPk(1)).balance).toBe(0);
+    });
+
+    it("it should return the unused escrow to the client when the contract is terminated", async () => {
+      const { Profile, Contract } = sequelize.models;
+      await post("/contracts/2/fund", "1", { amount: 300 });
+
+      const output = await post("/contracts/2/terminate", "6", { force: true });
+
+      expect(output.status).toBe(200);
+      expect((await output.json()).escrow).toBe(0);
+      expect((await Contract.findByPk(2)).status).toBe("terminated");
+      expect((await Profile.findByPk(1)).balance).toBe(1150);
+      expect((await reconciliation()).balanced).toBe(true);
+    });
+  });
+
+  describe("disputes", () => {
+    const post = (path, profileId, body) =>
+      fetch(getUrl(path), {
+        method: "POST",
+        body: JSON.stringify(body),
+        headers: { "Content-Type": "application/json", profile_id: profileId },
+      });
+    const openDispute = async (jobId, profileId = "1") =>
+      (
+        await post(`/jobs/${jobId}/disputes`, profileId, {
+          reason: "Not what we agreed",
+        })
+      ).json();
+
+    it("it should let either party open one dispute at a time on a job", async () => {
+      const output = await post("/jobs/2/disputes", "6", {
+        reason: "The client won't approve finished work",
+      });
+
+      expect(output.status).toBe(201);
+      expect(await output.json()).toMatchObject({
+        JobId: 2,
+        OpenedById: 6,
+        status: "open",
+      });
+
+      const again = await post("/jobs/2/disputes", "1", { reason: "Me too" });
+      expect(again.status).toBe(409);
+      expect((await again.json()).code).toBe("dispute_already_open");
+
+      const stranger = await post("/jobs/2/disputes", "2", { reason: "Hi" });
+      expect(stranger.status).toBe(404);
+    });
+
+    it("it should freeze payments and refunds of a disputed job", async () => {
+      await openDispute(2);
+      await openDispute(7);
+
+      const pay = await post("/jobs/2/pay", "1");
+      expect(pay.status).toBe(409);
+      expect((await pay.json()).code).toBe("job_disputed");
+
+      const refund = await post("/jobs/7/refund", "6", { reason: "Sorry" });
+      expect(refund.status).toBe(409);
+      expect((await refund.json()).code).toBe("job_disputed");
+    });
+
+    it("it should keep a message thread on the dispute for the parties and admins", async () => {
+      const { id } = await openDispute(2);
+
+      await post(`/disputes/${id}/messages`, "1", { body: "It is half done" });
+      await post(`/disputes/${id}/messages`, "6", { body: "It is all done" });
+      await post(`/disputes/${id}/messages`, "9", { body: "Show me" });
+      const stranger = await post(`/disputes/${id}/messages`, "2", {
+        body: "Hello",
+      });
+
+      expect(stranger.status).toBe(404);
+      const output = await fetch(getUrl(`/disputes/${id}/messages`), {
+        headers: { profile_id: "6" },
+      });
+      expect(
+        (await output.json()).data.map(({ AuthorId, body }) => ({
+          AuthorId,
+          body,
+        }))
+      ).toEqual([
+        { AuthorId: 1, body: "It is half done" },
+        { AuthorId: 6, body: "It is all done" },
+        { AuthorId: 9, body: "Show me" },
+      ]);
+    });
+
+    it("it should only pay the contractor what is missing of the price after a refund", async () => {
+      const { Profile, Job } = sequelize.models;
+      await post("/jobs/2/pay", "1", { amount: 50 });
+      await post("/jobs/2/refund", "6", { reason: "Mistake" });
+      const { id } = await openDispute(2);
+
+      await post(`/disputes/${id}/resolve`, "9", { resolution: "pay" });
+
+      expect(await Job.findByPk(2)).toMatchObject({
+        status: "paid",
+        amountPaid: 251,
+        amountRefunded: 50,
+        amountDue: 0,
+      });
+      expect((await Profile.findByPk(1)).balance).toBe(1150 - 201);
+      expect((await Profile.findByPk(6)).balance).toBe(1214 + 201);
+    });
+
+    it("it should resolve a dispute by paying the contractor the whole price", async () => {
+      const { Profile, Job } = sequelize.models;
+      const { id } = await openDispute(2);
+
+      expect(
+        (await post(`/disputes/${id}/resolve`, "1", { resolution: "pay" }))
+          .status
+      ).toBe(403);
+      const output = await post(`/disputes/${id}/resolve`, "9", {
+        resolution: "pay",
+        note: "The work was delivered",
+      });
+
+      expect(output.status).toBe(200);
+      expect(await output.json()).toMatchObject({
+        status: "resolved",
+        resolution: "pay",
+        contractorAmount: 201,
+        ResolvedById: 9,
+      });
+      expect(await Job.findByPk(2)).toMatchObject({
+        status: "paid",
+        paid: true,
+        amountPaid: 201,
+      });
+      expect((await Profile.findByPk(1)).balance).toBe(1150 - 201);
+      expect((await Profile.findByPk(6)).balance).toBe(1214 + 201);
+
+      const again = await post(`/disputes/${id}/resolve`, "9", {
+        resolution: "refund",
+      });
+      expect(again.status).toBe(409);
+      const message = await post(`/disputes/${id}/messages`, "1", {
+        body: "Fine",
+      });
+      expect((await message.json()).code).toBe("dispute_resolved");
+    });
+
+    it("it should resolve a dispute by refunding the client what was paid", async () => {
+      const { Profile, Job } = sequelize.models;
+      const { id } = await openDispute(7);
+
+      const output = await post(`/disputes/${id}/resolve`, "9", {
+        resolution: "refund",
+      });
+
+      expect(output.status).toBe(200);
+      expect(await Job.findByPk(7)).toMatchObject({
+        status: "refunded",
+        amountRefunded: 200,
+      });
+      expect((await Profile.findByPk(1)).balance).toBe(1150 + 200);
+      expect((await Profile.findByPk(6)).balance).toBe(1214 - 200);
+
+      const reconciliation = await fetch(
+        getUrl("/admin/ledger/reconciliation"),
+        { headers: { profile_id: "9" } }
+      );
+      expect((await reconciliation.json()).balanced).toBe(true);
+    });
+
+    it("it should resolve a dispute by splitting the price either way", async () => {
+      const { Profile, Job } = sequelize.models;
+      const unpaid = await openDispute(2);
+      const paid = await openDispute(7);
+
+      await post(`/disputes/${unpaid.id}/resolve`, "9", {
+        resolution: "split",
+        amount: 100,
+      });
+      await post(`/disputes/${paid.id}/resolve`, "9", {
+        resolution: "split",
+        amount: 50,
+      });
+
+      expect(await Job.findByPk(2)).toMatchObject({
+        status: "paid",
+        amountPaid: 100,
+        amountRefunded: 0,
+      });
+      expect(await Job.findByPk(7)).toMatchObject({
+        status: "paid",
+        amountPaid: 200,
+        amountRefunded: 150,
+      });
+      expect((await Profile.findByPk(1)).balance).toBe(1150 - 100 + 150);
+      expect((await Profile.findByPk(6)).balance).toBe(1214 + 100 - 150);
+    });
+
+    it("it should refuse a split without an amount or leaving the contractor the whole price", async () => {
+      const { id } = await openDispute(2);
+
+      const missing = await post(`/disputes/${id}/resolve`, "9", {
+        resolution: "split",
+      });
+      expect(missing.status).toBe(400);
+
+      const whole = await post(`/disputes/${id}/resolve`, "9", {
+        resolution: "split",
+        amount: 201,
+      });
+      expect(whole.status).toBe(422);
+      expect((await whole.json()).code).toBe("amount_exceeds_price");
+    });
+  });
+
+  describe("recurring billing", () => {
+    const send = (method, path, profileId, body) =>
+      fetch(getUrl(path), {
+        method,
+        body: body && JSON.stringify(body),
+        headers: { "Content-Type": "application/json", profile_id: profileId },
+      });
+    const schedule = (body) =>
+      send("PUT", "/contracts/2/billing", "1", {
+        interval: "month",
+        amount: 100,
+        startAt: "2024-01-31T00:00:00.000Z",
+        ...body,
+      });
+
+    beforeEach(() => {
+      app.set("clock", () => new Date());
+    });
+
+    it("it should bill every period started since the last run and pay it with autoPay", async () => {
+      const { Profile, Job, BillingCycle } = sequelize.models;
+      expect((await schedule({ autoPay: true })).status).toBe(200);
+
+      const summary = await runBilling(sequelize, {
+        now: new Date("2024-03-15T00:00:00.000Z"),
+      });
+
+      expect(summary).toEqual({ billed: 2, paid: 2, skipped: 0 });
+      const cycles = await BillingCycle.findAll({
+        include: Job,
+        order: [["periodStart", "ASC"]],
+      });
+      expect(cycles.map((c) => c.periodStart.toISOString())).toEqual([
+        "2024-01-31T00:00:00.000Z",
+        "2024-02-29T00:00:00.000Z",
+      ]);
+      expect(cycles.map((c) => [c.status, c.Job.status])).toEqual([
+        ["paid", "paid"],
+        ["paid", "paid"],
+      ]);
+      expect((await Profile.findByPk(1)).balance).toBe(1150 - 200);
+      expect((await Profile.findByPk(6)).balance).toBe(1214 + 200);
+
+      //Nothing more is due until the next period starts
+      expect(
+        await runBilling(sequelize, {
+          now: new Date("2024-03-30T00:00:00.000Z"),
+        })
+      ).toEqual({ billed: 0, paid: 0, skipped: 0 });
+    });
+
+    it("it should bill at most maxPeriods per contract and catch up over the next runs", async () => {
+      const { BillingCycle } = sequelize.models;
+      await schedule({ interval: "week", startAt: "2020-01-01T00:00:00.000Z" });
+      const now = new Date("2024-01-01T00:00:00.000Z");
+
+      expect(await runBilling(sequelize, { now, maxPeriods: 3 })).toEqual({
+        billed: 3,
+        paid: 0,
+        skipped: 0,
+      });
+      expect(await runBilling(sequelize, { now, maxPeriods: 3 })).toEqual({
+        billed: 3,
+        paid: 0,
+        skipped: 0,
+      });
+      const cycles = await BillingCycle.findAll({
+        order: [["periodStart", "ASC"]],
+      });
+      expect(cycles.map((c) => c.periodStart.toISOString())).toEqual([
+        "2020-01-01T00:00:00.000Z",
+        "2020-01-08T00:00:00.000Z",
+        "2020-01-15T00:00:00.000Z",
+        "2020-01-22T00:00:00.000Z",
+        "2020-01-29T00:00:00.000Z",
+        "2020-02-05T00:00:00.000Z",
+      ]);
+      expect((await runBilling(sequelize, { now })).billed).toBe(12);
+    });
+
+    it("it should leave the jobs to be paid by hand without autoPay", async () => {
+      const { Job } = sequelize.models;
+      await schedule();
+
+      const summary = await runBilling(sequelize, {
+        now: new Date("2024-01-31T00:00:00.000Z"),
+      });
+
+      expect(summary).toEqual({ billed: 1, paid: 0, skipped: 0 });
+      const job = await Job.findOne({ order: [["id", "DESC"]] });
+      expect(job).toMatchObject({
+        status: "approved",
+        price: 100,
+        ContractId: 2,
+        description: "Retainer for the month from 2024-01-31",
+      });
+    });
+
+    it("it should skip the cycles the client can't afford and keep their jobs unpaid", async () => {
+      const { Profile, Job } = sequelize.models;
+      await Profile.update({ balance: 150 }, { where: { id: 1 } });
+      await schedule({ autoPay: true });
+
+      const summary = await runBilling(sequelize, {
+        now: new Date("2024-03-15T00:00:00.000Z"),
+      });
+
+      expect(summary).toEqual({ billed: 2, paid: 1, skipped: 1 });
+      const output = await send(
+        "GET",
+        "/contracts/2/billing-cycles?status=skipped",
+        "6"
+      );
+      const { data } = await output.json();
+      expect(data).toMatchObject([
+        { status: "skipped", failureReason: "insufficient_balance" },
+      ]);
+      expect((await Job.findByPk(data[0].JobId)).status).toBe("approved");
+      expect((await Profile.findByPk(1)).balance).toBe(50);
+    });
+
+    it("it should only let the client schedule or stop billing", async () => {
+      const { Contract } = sequelize.models;
+      expect(
+        (
+          await send("PUT", "/contracts/2/billing", "6", {
+            interval: "month",
+            amount: 100,
+          })
+        ).status
+      ).toBe(403);
+      expect((await schedule({ interval: "year" })).status).toBe(400);
+
+      await schedule();
+      const output = await send("DELETE", "/contracts/2/billing", "1");
+      expect(output.status).toBe(200);
+      expect(await Contract.findByPk(2)).toMatchObject({
+        billingInterval: null,
+        nextBillingAt: null,
+      });
+      expect(
+        await runBilling(sequelize, {
+          now: new Date("2024-03-15T00:00:00.000Z"),
+        })
+      ).toEqual({ billed: 0, paid: 0, skipped: 0 });
+    });
+
+    it("it should let admins run billing at the app's clock", async () => {
+      app.set("clock", () => new Date("2024-02-07T00:00:00.000Z"));
+      await send("PUT", "/contracts/2/billing", "1", {
+        interval: "week",
+        amount: 50,
+        autoPay: true,
+      });
+      app.set("clock", () => new Date("2024-02-21T00:00:00.000Z"));
+
+      expect((await send("POST", "/admin/billing/run", "1")).status).toBe(403);
+      const output = await send("POST", "/admin/billing/run", "9");
+
+      expect(output.status).toBe(200);
+      expect(await output.json()).toEqual({ billed: 3, paid: 3, skipped: 0 });
+    });
+  });
 });
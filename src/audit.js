@@ -0,0 +1,49 @@
+/**
+ * Every mutation records an AuditEvent in the transaction that makes it, so the log
+ * never claims a change that was rolled back nor misses one that was committed.
+ */
+
+/**
+ * @returns who is acting, and in which request, for `recordAudit`
+ */
+const auditContext = (req) => ({
+  actorId: req.profile ? req.profile.id : null,
+  requestId: req.id || null,
+});
+
+/**
+ * @returns the instance's own attributes, without any included associations
+ */
+const snapshot = (instance) =>
+  instance
+    ? Object.fromEntries(
+        Object.keys(instance.constructor.rawAttributes).map((attribute) => [
+          attribute,
+          instance.get(attribute),
+        ])
+      )
+    : null;
+
+/**
+ * Records `action` on `target` (a model instance), with its state `before` and `after` the change.
+ * `before` is left out for creations.
+ */
+const recordAudit = (
+  { actorId, requestId },
+  { action, target, before = null, after = null },
+  transaction
+) =>
+  transaction.sequelize.models.AuditEvent.create(
+    {
+      action,
+      targetType: target.constructor.name,
+      targetId: target.id,
+      before: snapshot(before),
+      after: snapshot(after),
+      requestId,
+      ActorId: actorId,
+    },
+    { transaction }
+  );
+
+module.exports = { auditContext, recordAudit };
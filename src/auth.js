@@ -0,0 +1,90 @@
+const crypto = require("crypto");
+const { promisify } = require("util");
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+
+// Hash of a random password no one knows, checked against when there is no credential so unknown
+// usernames take as long to refuse as wrong passwords
+const DUMMY_PASSWORD_HASH =
+  "scrypt$a0c50f62ad074b77686d42917b1b2e16$dbd03c2f2f7dcf395847d6fa9d6e513855594f0117f3995bc26f320c5b52091b9b82ad49d6fa675dc068037e3e437b4fb5acd896f546e0a444eccff921e71a0c";
+
+const base64url = (input) => Buffer.from(input).toString("base64url");
+
+/**
+ * @returns a salted scrypt hash in the form `scrypt$<salt>$<hash>`
+ */
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${hash.toString("hex")}`;
+};
+
+const verifyPassword = async (password, stored) => {
+  const [scheme, salt, expected] = String(stored).split("$");
+  if (scheme !== "scrypt" || !salt || !expected) return false;
+
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  const expectedBuffer = Buffer.from(expected, "hex");
+  return (
+    expectedBuffer.length === hash.length &&
+    crypto.timingSafeEqual(expectedBuffer, hash)
+  );
+};
+
+const sign = (data, secret) =>
+  crypto.createHmac("sha256", secret).update(data).digest("base64url");
+
+/**
+ * Issues an HS256 JWT for the profile.
+ * @returns {{ token: string, expiresAt: Date }}
+ */
+const signToken = (profileId, { secret, tokenTtlSeconds }) => {
+  const expiresAt = new Date(Date.now() + tokenTtlSeconds * 1000);
+  const header = base64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const payload = base64url(
+    JSON.stringify({
+      sub: profileId,
+      exp: Math.floor(expiresAt.getTime() / 1000),
+    })
+  );
+
+  return {
+    token: `${header}.${payload}.${sign(`${header}.${payload}`, secret)}`,
+    expiresAt,
+  };
+};
+
+/**
+ * @returns the token payload, or null when the token is malformed, tampered with or expired
+ */
+const verifyToken = (token, { secret }) => {
+  const [header, payload, signature] = String(token).split(".");
+  if (!header || !payload || !signature) return null;
+
+  const expected = Buffer.from(sign(`${header}.${payload}`, secret));
+  const actual = Buffer.from(signature);
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  )
+    return null;
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+    if (typeof claims.exp !== "number" || claims.exp * 1000 <= Date.now())
+      return null;
+    return claims;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  DUMMY_PASSWORD_HASH,
+  hashPassword,
+  verifyPassword,
+  signToken,
+  verifyToken,
+};
@@ -0,0 +1,290 @@
+const { Op, Transaction } = require("sequelize");
+const { nextBillingDate } = require("./schedule");
+const { transferPayment } = require("../jobPayments");
+const { assertNotDisputed } = require("../disputes");
+const { createFxTable } = require("../currency");
+const { HttpError } = require("../errors");
+const { recordAudit } = require("../audit");
+const { emitEvent, dispatchWebhooks } = require("../webhooks");
+const { toCents, adjustColumn } = require("../money");
+
+/**
+ * Recurring contracts carry a billing schedule: `billingAmount` every `billingInterval` (week or month)
+ * from `billingStartAt`. `runBilling` creates an approved job for every period that has started on
+ * in progress contracts, catching up on missed ones (up to `maxPeriods` per contract and run, the
+ * rest is left to the next runs), and with `billingAutoPay` pays it straight away
+ * (escrow first, then the client's balance). A payment that fails, eg: for lack of funds, leaves the
+ * job to be paid by hand and flags its cycle `skipped` with the reason.
+ *
+ * `createScheduler` runs it periodically along with the webhook dispatch, see src/scheduler.js. Time
+ * comes from an injectable clock so runs can be replayed deterministically.
+ */
+
+const IMMEDIATE = { type: Transaction.TYPES.IMMEDIATE };
+const SYSTEM = { actorId: null, requestId: null };
+
+/**
+ * Bills the contract's next period if it has started by `now`.
+ * @returns the new cycle, null when nothing is due (anymore)
+ */
+const billPeriod = (sequelize, contractId, { now, context }) => {
+  const { Contract, Job, BillingCycle } = sequelize.models;
+
+  return sequelize.transaction(IMMEDIATE, async (t) => {
+    const contract = await Contract.findOne({
+      where: {
+        id: contractId,
+        status: "in_progress",
+        billingInterval: { [Op.not]: null },
+        nextBillingAt: { [Op.lte]: now },
+      },
+      lock: t.LOCK.UPDATE,
+      transaction: t,
+    });
+    if (!contract) return null;
+
+    const periodStart = contract.nextBillingAt;
+    const from = periodStart.toISOString().slice(0, 10);
+    const job = await Job.create(
+      {
+        description: `Retainer for the ${contract.billingInterval} from ${from}`,
+        price: contract.billingAmount,
+        status: "approved",
+        ContractId: contract.id,
+      },
+      { transaction: t }
+    );
+    const cycle = await BillingCycle.create(
+      { periodStart, ContractId: contract.id, JobId: job.id },
+      { transaction: t }
+    );
+
+    await contract.update(
+      {
+        nextBillingAt: nextBillingDate(
+          periodStart,
+          contract.billingInterval,
+          contract.billingStartAt.getUTCDate()
+        ),
+      },
+      { transaction: t }
+    );
+
+    await recordAudit(
+      context,
+      { action: "job.create", target: job, after: job },
+      t
+    );
+    await recordAudit(
+      context,
+      { action: "billing.bill", target: cycle, after: cycle },
+      t
+    );
+    return cycle;
+  });
+};
+
+/**
+ * Pays the whole price of the cycle's job from its client.
+ * @throws {HttpError} when it can't be paid, eg: 402 when the client can't afford it
+ */
+const payCycle = (sequelize, cycle, { now, fx, context }) => {
+  const { Job, Contract, BillingCycle } = sequelize.models;
+
+  return sequelize.transaction(IMMEDIATE, async (t) => {
+    const job = await Job.findByPk(cycle.JobId, {
+      include: { model: Contract, as: "Contract" },
+      lock: t.LOCK.UPDATE,
+      transaction: t,
+    });
+    await assertNotDisputed(job, t);
+
+    const [paidCount] = await Job.update(
+      {
+        amountPaid: adjustColumn("amountPaid", toCents(job.amountDue)),
+        paid: true,
+        status: "paid",
+        paymentDate: now,
+      },
+      {
+        where: {
+          id: job.id,
+          status: "approved",
+          amountPaid: job.amountPaid,
+          amountRefunded: job.amountRefunded,
+        },
+        transaction: t,
+      }
+    );
+    if (paidCount !== 1)
+      throw new HttpError(409, "job_already_paid", "Job has already been paid");
+
+    await transferPayment({ job, cents: toCents(job.amountDue), fx }, t);
+    await BillingCycle.update(
+      { status: "paid" },
+      { where: { id: cycle.id }, transaction: t }
+    );
+
+    await recordAudit(
+      context,
+      {
+        action: "job.pay",
+        target: job,
+        before: job,
+        after: await Job.findByPk(job.id, { transaction: t }),
+      },
+      t
+    );
+    await emitEvent(
+      "job.paid",
+      {
+        jobId: job.id,
+        contractId: job.ContractId,
+        price: job.price,
+        currency: job.Contract.currency,
+      },
+      t
+    );
+  });
+};
+
+/**
+ * Flags the cycle as `skipped` for `reason`, its job stays unpaid.
+ */
+const skipCycle = (sequelize, cycle, reason, context) => {
+  const { BillingCycle } = sequelize.models;
+
+  return sequelize.transaction(IMMEDIATE, async (t) => {
+    await BillingCycle.update(
+      { status: "skipped", failureReason: reason },
+      { where: { id: cycle.id }, transaction: t }
+    );
+    await recordAudit(
+      context,
+      {
+        action: "billing.skip",
+        target: cycle,
+        before: cycle,
+        after: await BillingCycle.findByPk(cycle.id, { transaction: t }),
+      },
+      t
+    );
+    await emitEvent(
+      "billing.skipped",
+      {
+        contractId: cycle.ContractId,
+        jobId: cycle.JobId,
+        periodStart: cycle.periodStart,
+        reason,
+      },
+      t
+    );
+  });
+};
+
+/**
+ * Bills the periods started by `now` on up to `limit` recurring contracts, at most `maxPeriods` each,
+ * auto-paying where asked. Changes are audited for `context`, the system when left out.
+ * @returns {Promise<{ billed: number, paid: number, skipped: number }>}
+ */
+const runBilling = async (
+  sequelize,
+  {
+    now = new Date(),
+    fx = createFxTable(),
+    limit = 100,
+    maxPeriods = 12,
+    context = SYSTEM,
+  } = {}
+) => {
+  const { Contract } = sequelize.models;
+  const summary = { billed: 0, paid: 0, skipped: 0 };
+
+  const due = await Contract.findAll({
+    where: {
+      status: "in_progress",
+      billingInterval: { [Op.not]: null },
+      nextBillingAt: { [Op.lte]: now },
+    },
+    order: [["nextBillingAt", "ASC"]],
+    limit,
+  });
+
+  for (const contract of due) {
+    for (let period = 0; period < maxPeriods; period++) {
+      const cycle = await billPeriod(sequelize, contract.id, { now, context });
+      if (!cycle) break;
+      summary.billed++;
+      if (!contract.billingAutoPay) continue;
+
+      try {
+        await payCycle(sequelize, cycle, { now, fx, context });
+        summary.paid++;
+      } catch (error) {
+        if (!(error instanceof HttpError)) throw error;
+        await skipCycle(sequelize, cycle, error.code, context);
+        summary.skipped++;
+      }
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Runs `runBilling` every `intervalMs` on up to `limit` contracts and `maxPeriods` per contract, then
+ * `dispatchWebhooks` on up to `webhookLimit` deliveries (so the events of the run go out straight away)
+ * giving up after `webhookMaxAttempts`. The time is read from `clock`, a run is skipped while the last
+ * one is going. Errors of a run are handed to `onError`, the next run goes ahead regardless.
+ */
+const createScheduler = ({
+  sequelize,
+  fx,
+  clock = () => new Date(),
+  intervalMs = 60 * 1000,
+  limit,
+  maxPeriods,
+  webhookLimit,
+  webhookMaxAttempts,
+  onError = console.error,
+}) => {
+  let timer = null;
+  let running = null;
+
+  /**
+   * @returns {Promise<{ billing: object, webhooks: object }>} the summaries of both runs
+   */
+  const tick = async () => {
+    const billing = await runBilling(sequelize, {
+      now: clock(),
+      fx,
+      limit,
+      maxPeriods,
+    });
+    const webhooks = await dispatchWebhooks(sequelize, {
+      now: clock(),
+      limit: webhookLimit,
+      maxAttempts: webhookMaxAttempts,
+    });
+    return { billing, webhooks };
+  };
+
+  const start = () => {
+    if (timer) return;
+    timer = setInterval(() => {
+      if (running) return;
+      running = tick()
+        .catch(onError)
+        .finally(() => (running = null));
+    }, intervalMs);
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return { tick, start, stop };
+};
+
+module.exports = { runBilling, createScheduler };
@@ -0,0 +1,30 @@
+/**
+ * Billing periods of recurring contracts, all in UTC.
+ */
+
+const INTERVALS = ["week", "month"];
+
+const daysInMonth = (year, month) =>
+  new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+/**
+ * @returns the start of the period following the one starting at `date`. Monthly periods stay on
+ * `anchorDay` (the day of the month billing started on), clamped to the length of shorter months.
+ */
+const nextBillingDate = (date, interval, anchorDay = date.getUTCDate()) => {
+  if (interval === "week")
+    return new Date(date.getTime() + 7 * 24 * 60 * 60 * 1000);
+
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + 1;
+  const next = new Date(date.getTime());
+  next.setUTCDate(1);
+  next.setUTCFullYear(
+    year,
+    month,
+    Math.min(anchorDay, daysInMonth(year, month))
+  );
+  return next;
+};
+
+module.exports = { INTERVALS, nextBillingDate };
@@ -0,0 +1,25 @@
+import { describe, it, expect } from "vitest";
+import { nextBillingDate } from "./schedule";
+
+describe("billing schedule", () => {
+  it("it should bill weekly periods seven days apart", () => {
+    expect(
+      nextBillingDate(new Date("2024-02-26T09:00:00Z"), "week").toISOString()
+    ).toBe("2024-03-04T09:00:00.000Z");
+  });
+
+  it("it should bill monthly periods on the same day of the month", () => {
+    expect(
+      nextBillingDate(new Date("2024-12-15T09:00:00Z"), "month").toISOString()
+    ).toBe("2025-01-15T09:00:00.000Z");
+  });
+
+  it("it should clamp monthly periods to shorter months and come back to the anchor day", () => {
+    const february = nextBillingDate(new Date("2024-01-31T00:00:00Z"), "month");
+    expect(february.toISOString()).toBe("2024-02-29T00:00:00.000Z");
+
+    expect(nextBillingDate(february, "month", 31).toISOString()).toBe(
+      "2024-03-31T00:00:00.000Z"
+    );
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it, expect, afterEach } from "vitest";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { loadConfig, DEFAULTS } from "./config";
+
+describe("config", () => {
+  let file;
+  afterEach(() => {
+    if (file) fs.rmSync(file, { force: true });
+    file = null;
+  });
+
+  const writeConfig = (content) => {
+    file = path.join(os.tmpdir(), `config-${process.pid}-${Date.now()}.json`);
+    fs.writeFileSync(file, JSON.stringify(content));
+    return file;
+  };
+
+  it("it should default every setting without a file or environment", () => {
+    expect(loadConfig({ env: {} })).toEqual(DEFAULTS);
+  });
+
+  it("it should let the environment override the file, and code override both", () => {
+    const config = loadConfig({
+      env: {
+        CONFIG_FILE: writeConfig({
+          port: 8080,
+          logLevel: "debug",
+          database: { storage: "./other.sqlite3" },
+          limits: { payoutBatch: 10 },
+        }),
+        PORT: "9090",
+        WEBHOOK_MAX_ATTEMPTS: "8",
+        FX_RATES: '{"EUR":1.08}',
+        AUTH_ALLOW_PROFILE_ID_HEADER: "true",
+      },
+      overrides: { logLevel: "silent" },
+    });
+
+    expect(config).toMatchObject({
+      port: 9090,
+      logLevel: "silent",
+      database: { dialect: "sqlite", storage: "./other.sqlite3" },
+      auth: { allowProfileIdHeader: true, tokenTtlSeconds: 3600 },
+      fxRates: { EUR: 1.08 },
+      limits: { payoutBatch: 10, webhookMaxAttempts: 8, billingBatch: 100 },
+    });
+  });
+
+  it("it should refuse malformed or out of range settings", () => {
+    expect(() => loadConfig({ env: { FX_RATES: "{" } })).toThrow(
+      "Invalid FX_RATES"
+    );
+    expect(() =>
+      loadConfig({ env: { PORT: "http", LOG_LEVEL: "loud" } })
+    ).toThrow(
+      "Invalid config: port must be between 0 and 65535, logLevel must be one of"
+    );
+    expect(() =>
+      loadConfig({ env: {}, overrides: { limits: { webhookBatch: 0 } } })
+    ).toThrow("limits.webhookBatch must be a positive integer");
+    expect(() =>
+      loadConfig({ env: { CONFIG_FILE: "./missing.json" } })
+    ).toThrow("Invalid config file ./missing.json");
+  });
+});
@@ -0,0 +1,10 @@
+const { createStateMachine } = require("./stateMachine");
+
+/**
+ * The statuses a contract may move to from each status, a contract is only active while `in_progress`.
+ */
+module.exports = createStateMachine("contract", {
+  new: ["in_progress", "terminated"],
+  in_progress: ["terminated"],
+  terminated: [],
+});
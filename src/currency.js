@@ -0,0 +1,47 @@
+const { HttpError } = require("./errors");
+
+/**
+ * Amounts without a currency (balances on Profile, opening balances, older rows) are in the default currency.
+ */
+const DEFAULT_CURRENCY = "USD";
+
+/**
+ * Exchange rates between currencies, configured locally rather than fetched from a provider.
+ *
+ *   createFxTable({ EUR: 1.08, GBP: 1.27 })
+ *
+ * Each rate is the value of one unit of the currency in the default currency, so the
+ * rate from EUR to GBP above is 1.08 / 1.27.
+ * @param {Object<string, number>} rates
+ */
+const createFxTable = (rates = {}) => {
+  const table = { ...rates, [DEFAULT_CURRENCY]: 1 };
+
+  /**
+   * @returns the rate converting `from` into `to`, rounded to 8 decimal places
+   * @throws {HttpError} 422 when either currency has no configured rate
+   */
+  const rate = (from, to) => {
+    if (from === to) return 1;
+    if (!table[from] || !table[to])
+      throw new HttpError(
+        422,
+        "fx_rate_missing",
+        `No exchange rate configured from ${from} to ${to}`,
+        { from, to }
+      );
+    return Number((table[from] / table[to]).toFixed(8));
+  };
+
+  /**
+   * @returns the cents in `from` converted to cents in `to`, with the rate used
+   */
+  const convert = (cents, from, to) => {
+    const used = rate(from, to);
+    return { cents: Math.round(cents * used), rate: used };
+  };
+
+  return { rate, convert };
+};
+
+module.exports = { DEFAULT_CURRENCY, createFxTable };
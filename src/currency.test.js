@@ -0,0 +1,26 @@
+import { describe, it, expect } from "vitest";
+import { createFxTable, DEFAULT_CURRENCY } from "./currency";
+
+describe("currency", () => {
+  const fx = createFxTable({ EUR: 1.08, GBP: 1.25 });
+
+  it("it should convert through rates expressed in the default currency", () => {
+    expect(DEFAULT_CURRENCY).toBe("USD");
+    expect(fx.convert(10000, "EUR", "USD")).toEqual({
+      cents: 10800,
+      rate: 1.08,
+    });
+    expect(fx.convert(10000, "USD", "GBP")).toEqual({ cents: 8000, rate: 0.8 });
+    expect(fx.convert(10000, "EUR", "GBP")).toEqual({
+      cents: 8640,
+      rate: 0.864,
+    });
+    expect(fx.convert(123, "EUR", "EUR")).toEqual({ cents: 123, rate: 1 });
+  });
+
+  it("it should refuse currencies without a configured rate", () => {
+    expect(() => fx.convert(100, "USD", "JPY")).toThrowError(
+      expect.objectContaining({ status: 422, code: "fx_rate_missing" })
+    );
+  });
+});
@@ -0,0 +1,191 @@
+const { Op } = require("sequelize");
+const { DEFAULT_CURRENCY } = require("./currency");
+const { sum, percentOf, toCents, fromCents } = require("./money");
+
+/**
+ * Decides how much a client may deposit. A policy is a list of rules per client tier, evaluated in order;
+ * each rule reports the most it allows, the client may deposit the smallest of those.
+ *
+ *   createDepositPolicy({
+ *     default: [{ rule: "outstandingJobsShare", percent: 25 }],
+ *     tiers: {
+ *       premium: [
+ *         { rule: "outstandingJobsShare", percent: 50 },
+ *         { rule: "perTransactionCap", max: 5000 },
+ *         { rule: "rollingWindow", hours: 24, max: 20000 },
+ *       ],
+ *     },
+ *   })
+ *
+ * Amounts in the configuration are in the major unit (eg: dollars) of the currency deposited.
+ * Rules query the models of the client's Sequelize instance.
+ */
+
+/**
+ * Rule factories, each rule resolves to `{ allowance, reason, message }` with the allowance in cents,
+ * `reason` naming why a larger deposit would be refused.
+ */
+const RULES = {
+  /**
+   * At most `percent` of what is left to pay on the client's unpaid jobs on active contracts in the deposited currency, nothing without any.
+   */
+  outstandingJobsShare:
+    ({ percent }) =>
+    async ({ client, transaction, currency }) => {
+      const { Job, Contract } = client.sequelize.models;
+      const jobs = await Job.findAll({
+        include: {
+          model: Contract,
+          as: "Contract",
+          required: true,
+          where: {
+            status: "in_progress",
+            ClientId: client.id,
+            currency,
+          },
+        },
+        where: {
+          paid: {
+            [Op.not]: true,
+          },
+        },
+        transaction,
+      });
+
+      const outstandingTotal = sum(jobs.map((job) => job.amountDue));
+
+      return outstandingTotal === 0
+        ? {
+            allowance: 0,
+            reason: "no_outstanding_jobs",
+            message: "Client has no jobs to pay",
+          }
+        : {
+            allowance: percentOf(outstandingTotal, percent),
+            reason: "deposit_limit_exceeded",
+            message: `Deposit exceeds ${percent}% of the outstanding jobs total`,
+          };
+    },
+
+  /**
+   * At most `max` in a single deposit.
+   */
+  perTransactionCap:
+    ({ max }) =>
+    async () => ({
+      allowance: toCents(max),
+      reason: "transaction_cap_exceeded",
+      message: `Deposit exceeds the ${max} per deposit cap`,
+    }),
+
+  /**
+   * At most `max` deposited in total over the last `hours`.
+   */
+  rollingWindow:
+    ({ hours, max }) =>
+    async ({ client, transaction, now, currency }) => {
+      const { LedgerEntry } = client.sequelize.models;
+      const deposits = await LedgerEntry.findAll({
+        where: {
+          ProfileId: client.id,
+          type: "deposit",
+          side: "credit",
+          currency,
+          createdAt: { [Op.gt]: new Date(now - hours * 60 * 60 * 1000) },
+        },
+        transaction,
+      });
+
+      return {
+        allowance: Math.max(
+          0,
+          toCents(max) - sum(deposits.map((entry) => entry.amount))
+        ),
+        reason: "rolling_window_exceeded",
+        message: `Deposits exceed ${max} over ${hours} hours`,
+      };
+    },
+};
+
+/**
+ * The rules as they were before policies were configurable.
+ */
+const DEFAULT_POLICY = {
+  default: [{ rule: "outstandingJobsShare", percent: 25 }],
+  tiers: {},
+};
+
+/**
+ * @param {Object} config rule descriptors (`{ rule, ...options }`) for `default` and per tier in `tiers`
+ */
+const createDepositPolicy = (config = DEFAULT_POLICY) => {
+  const build = (descriptors) =>
+    descriptors.map(({ rule, ...options }) => {
+      if (!RULES[rule]) throw new Error(`Unknown deposit rule: ${rule}`);
+      return { name: rule, evaluate: RULES[rule](options) };
+    });
+
+  const defaultRules = build(config.default || []);
+  const tierRules = Object.fromEntries(
+    Object.entries(config.tiers || {}).map(([tier, descriptors]) => [
+      tier,
+      build(descriptors),
+    ])
+  );
+
+  /**
+   * @returns {Promise<{ allowance: number, limitedBy: Object|null, rules: Object[] }>} allowances in cents,
+   * `limitedBy` is the first rule allowing the least, null when no rule applies
+   */
+  const evaluate = async (
+    client,
+    { transaction, now = Date.now(), currency = DEFAULT_CURRENCY } = {}
+  ) => {
+    const rules = tierRules[client.tier] || defaultRules;
+    const results = [];
+
+    for (const { name, evaluate } of rules) {
+      const result = await evaluate({ client, transaction, now, currency });
+      results.push({ rule: name, ...result });
+    }
+
+    const limitedBy = results.reduce(
+      (lowest, result) =>
+        !lowest || result.allowance < lowest.allowance ? result : lowest,
+      null
+    );
+
+    return {
+      allowance: limitedBy ? limitedBy.allowance : Infinity,
+      limitedBy,
+      rules: results,
+    };
+  };
+
+  /**
+   * @returns the first rule, in order, refusing a deposit of `cents`, or null when every rule allows it
+   */
+  const check = async (client, cents, options) => {
+    const { rules } = await evaluate(client, options);
+    return rules.find((result) => cents > result.allowance) || null;
+  };
+
+  return { evaluate, check };
+};
+
+/**
+ * @returns the evaluation with amounts converted back from cents, for responses
+ */
+const present = ({ allowance, limitedBy, rules }) => {
+  const presentRule = (result) => ({
+    ...result,
+    allowance: fromCents(result.allowance),
+  });
+  return {
+    allowance: allowance === Infinity ? null : fromCents(allowance),
+    limitedBy: limitedBy && presentRule(limitedBy),
+    rules: rules.map(presentRule),
+  };
+};
+
+module.exports = { createDepositPolicy, present, RULES, DEFAULT_POLICY };
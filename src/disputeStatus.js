@@ -0,0 +1,10 @@
+const { createStateMachine } = require("./stateMachine");
+
+/**
+ * The statuses a dispute may move to from each status. A dispute stays `open`, freezing its job's
+ * payments and refunds, until an admin resolves it.
+ */
+module.exports = createStateMachine("dispute", {
+  open: ["resolved"],
+  resolved: [],
+});
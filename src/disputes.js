@@ -0,0 +1,115 @@
+const { transferPayment, transferRefund } = require("./jobPayments");
+const { HttpError } = require("./errors");
+const { toCents, adjustColumn } = require("./money");
+
+/**
+ * Either party of a job can open a dispute on it. While a dispute is open the job can't be paid
+ * or refunded, the parties and admins discuss it in the dispute's messages until an admin resolves it:
+ *
+ * - `pay`: the contractor keeps the whole price of the job, the client pays whatever is missing
+ * - `refund`: the contractor keeps nothing, what was paid goes back to the client
+ * - `split`: the contractor keeps `amount` of the price, the client pays or is refunded the difference
+ *
+ * Resolving settles the job for good, see `settleJob`.
+ */
+
+/**
+ * @throws {HttpError} 409 while the job has an open dispute
+ */
+const assertNotDisputed = async (job, transaction) => {
+  const { Dispute } = transaction.sequelize.models;
+  const open = await Dispute.count({
+    where: { JobId: job.id, status: "open" },
+    transaction,
+  });
+  if (open > 0)
+    throw new HttpError(
+      409,
+      "job_disputed",
+      "Job has an open dispute, it can't be paid or refunded until resolved"
+    );
+};
+
+/**
+ * @returns the cents the contractor keeps of the job under `resolution`, `amount` being their share when split
+ * @throws {HttpError} 422 when a split doesn't leave something to each party
+ */
+const contractorShare = (job, resolution, amount) => {
+  const price = toCents(job.price);
+  if (resolution === "pay") return price;
+  if (resolution === "refund") return 0;
+
+  const share = toCents(amount);
+  if (share >= price)
+    throw new HttpError(
+      422,
+      "amount_exceeds_price",
+      "A split must leave the contractor less than the job's price",
+      { price: job.price }
+    );
+  return share;
+};
+
+/**
+ * Moves money so the contractor ends up with `share` cents of the job (which must include its Contract):
+ * the client pays what is missing of what the contractor kept after refunds, escrow first, and the contractor
+ * refunds any excess, forced negative with `force`.
+ * The job is then `paid` when the contractor keeps something, `refunded` when they keep nothing of what was paid
+ * and `rejected` when nothing was ever paid.
+ * Must be called with the IMMEDIATE transaction that locked the dispute.
+ * @returns the cents paid to and refunded by the contractor
+ */
+const settleJob = async (
+  { job, share, dispute, profileId, force, fx },
+  transaction
+) => {
+  const { Job } = transaction.sequelize.models;
+  const net = toCents(job.amountPaid) - toCents(job.amountRefunded);
+  const paid = Math.max(share - net, 0);
+  const refunded = Math.max(net - share, 0);
+
+  if (paid > 0) await transferPayment({ job, cents: paid, fx }, transaction);
+  if (refunded > 0)
+    await transferRefund(
+      {
+        job,
+        cents: refunded,
+        reason: `Resolution of dispute ${dispute.id}`,
+        profileId,
+        force,
+      },
+      transaction
+    );
+
+  const status =
+    share > 0 ? "paid" : toCents(job.amountPaid) > 0 ? "refunded" : "rejected";
+
+  const [updated] = await Job.update(
+    {
+      amountPaid: adjustColumn("amountPaid", paid),
+      amountRefunded: adjustColumn("amountRefunded", refunded),
+      status,
+      paid: status !== "rejected",
+      ...(status === "paid" && { paymentDate: job.paymentDate || new Date() }),
+    },
+    {
+      where: {
+        id: job.id,
+        status: job.status,
+        amountPaid: job.amountPaid,
+        amountRefunded: job.amountRefunded,
+      },
+      transaction,
+    }
+  );
+  if (updated !== 1)
+    throw new HttpError(
+      409,
+      "job_changed",
+      "Job was changed by another request"
+    );
+
+  return { paid, refunded };
+};
+
+module.exports = { assertNotDisputed, contractorShare, settleJob };
@@ -0,0 +1,16 @@
+/**
+ * Passed to `next` (or thrown from within handlers and their transactions) to respond with an HTTP status,
+ * see src/middleware/errorHandler.js for how it is rendered.
+ * `code` is a stable machine readable identifier, `details` any extra context for the caller.
+ */
+class HttpError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+module.exports = { HttpError };
@@ -0,0 +1,111 @@
+const { recordTransfer } = require("./ledger");
+const { adjustBalance } = require("./accounts");
+const { HttpError } = require("./errors");
+const { toCents, adjustColumn } = require("./money");
+
+/**
+ * A contract's escrow holds money its client set aside for its jobs, in the contract's currency.
+ * Funding moves it out of the client's balance, job payments draw from it before touching the
+ * client's balance and terminating the contract gives back what is left. The escrow is an account
+ * of its own in the ledger, see `recordTransfer`.
+ * Every function must be called with the transaction that locked the contract.
+ */
+
+/**
+ * Adds `cents` (negative to take) to the escrow, only if it still holds what the contract was read with.
+ */
+const adjustEscrow = async (contract, cents, transaction) => {
+  const { Contract } = transaction.sequelize.models;
+  const [updated] = await Contract.update(
+    { escrow: adjustColumn("escrow", cents) },
+    { where: { id: contract.id, escrow: contract.escrow }, transaction }
+  );
+  if (updated !== 1)
+    throw new HttpError(
+      409,
+      "contract_changed",
+      "Contract was changed by another request"
+    );
+};
+
+/**
+ * Moves `cents` from the client's balance into the contract's escrow.
+ * @throws {HttpError} 402 when the client's balance doesn't cover it
+ */
+const fundEscrow = async (contract, cents, transaction) => {
+  const { currency } = contract;
+
+  const debited = await adjustBalance(
+    {
+      profileId: contract.ClientId,
+      currency,
+      cents: -cents,
+      requireFunds: true,
+    },
+    transaction
+  );
+  if (!debited)
+    throw new HttpError(
+      402,
+      "insufficient_balance",
+      "Balance is too low to fund this contract"
+    );
+
+  await adjustEscrow(contract, cents, transaction);
+  await recordTransfer(
+    {
+      type: "escrow_funding",
+      fromProfileId: contract.ClientId,
+      toContractId: contract.id,
+      cents,
+      currency,
+    },
+    transaction
+  );
+};
+
+/**
+ * Takes `cents` of the escrow towards the payment of the job, the caller credits the contractor.
+ */
+const payFromEscrow = async (contract, cents, JobId, transaction) => {
+  await adjustEscrow(contract, -cents, transaction);
+  await recordTransfer(
+    {
+      type: "payment",
+      fromContractId: contract.id,
+      toProfileId: contract.ContractorId,
+      cents,
+      currency: contract.currency,
+      JobId,
+    },
+    transaction
+  );
+};
+
+/**
+ * Gives whatever is left in the escrow back to the client.
+ * @returns the cents returned
+ */
+const releaseEscrow = async (contract, transaction) => {
+  const cents = toCents(contract.escrow);
+  if (cents === 0) return 0;
+
+  await adjustEscrow(contract, -cents, transaction);
+  await adjustBalance(
+    { profileId: contract.ClientId, currency: contract.currency, cents },
+    transaction
+  );
+  await recordTransfer(
+    {
+      type: "escrow_release",
+      fromContractId: contract.id,
+      toProfileId: contract.ClientId,
+      cents,
+      currency: contract.currency,
+    },
+    transaction
+  );
+  return cents;
+};
+
+module.exports = { fundEscrow, payFromEscrow, releaseEscrow };
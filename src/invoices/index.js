@@ -0,0 +1,67 @@
+/**
+ * Every payment of a job issues an invoice from the contractor to the client, numbered in the
+ * contractor's own sequence (`INV-<contractor id>-00001`, `-00002`, ...). `issueInvoice` runs in the
+ * payment's transaction, the IMMEDIATE write lock keeps the sequence free of gaps and duplicates.
+ * See src/invoices/render.js for the HTML and PDF documents.
+ */
+
+/**
+ * @returns the invoice number of the contractor's `sequence`th invoice
+ */
+const formatNumber = (contractorId, sequence) =>
+  `INV-${contractorId}-${String(sequence).padStart(5, "0")}`;
+
+/**
+ * @returns the details of the profile printed on its invoices
+ */
+const partyDetails = (profile) => ({
+  id: profile.id,
+  firstName: profile.firstName,
+  lastName: profile.lastName,
+  profession: profile.profession,
+});
+
+/**
+ * Issues the invoice of `payment`, made for `job` of `contract`.
+ * A partial payment invoices its amount against the job's price.
+ * @returns the new invoice
+ */
+const issueInvoice = async ({ payment, job, contract }, transaction) => {
+  const { Invoice, Profile } = payment.sequelize.models;
+  const [client, contractor, last] = await Promise.all([
+    Profile.findByPk(contract.ClientId, { transaction }),
+    Profile.findByPk(contract.ContractorId, { transaction }),
+    Invoice.max("sequence", {
+      where: { ContractorId: contract.ContractorId },
+      transaction,
+    }),
+  ]);
+  const sequence = (last || 0) + 1;
+
+  return Invoice.create(
+    {
+      sequence,
+      number: formatNumber(contract.ContractorId, sequence),
+      issuedAt: payment.createdAt,
+      currency: payment.currency,
+      total: payment.amount,
+      lineItems: [
+        {
+          jobId: job.id,
+          description: job.description,
+          price: job.price,
+          amount: payment.amount,
+        },
+      ],
+      client: partyDetails(client),
+      contractor: partyDetails(contractor),
+      PaymentId: payment.id,
+      JobId: job.id,
+      ClientId: contract.ClientId,
+      ContractorId: contract.ContractorId,
+    },
+    { transaction }
+  );
+};
+
+module.exports = { formatNumber, issueInvoice };
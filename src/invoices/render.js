@@ -0,0 +1,197 @@
+const { toCents, toDecimalString } = require("../money");
+
+/**
+ * Renders invoices as standalone documents, an HTML page or a plain text PDF
+ * (A4, built-in Helvetica, no dependencies).
+ */
+
+const money = (amount, currency) =>
+  `${toDecimalString(toCents(amount))} ${currency}`;
+
+const fullName = ({ firstName, lastName }) => `${firstName} ${lastName}`;
+
+const issueDate = (invoice) =>
+  new Date(invoice.issuedAt).toISOString().slice(0, 10);
+
+const escapeHtml = (text) =>
+  String(text).replace(
+    /[&<>"']/g,
+    (char) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      }[char])
+  );
+
+/**
+ * @returns the invoice as an HTML document
+ */
+const renderHtml = (invoice) => {
+  const { number, currency, client, contractor } = invoice;
+  const total = money(invoice.total, currency);
+  const rows = invoice.lineItems
+    .map(
+      (item) => `
+      <tr>
+        <td>${escapeHtml(item.description)}</td>
+        <td class="amount">${money(item.price, currency)}</td>
+        <td class="amount">${money(item.amount, currency)}</td>
+      </tr>`
+    )
+    .join("");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <title>Invoice ${escapeHtml(number)}</title>
+    <style>
+      body { font-family: sans-serif; margin: 2em; }
+      table { border-collapse: collapse; width: 100%; }
+      th, td { border-bottom: 1px solid #ccc; padding: 0.5em; text-align: left; }
+      .amount { text-align: right; }
+    </style>
+  </head>
+  <body>
+    <h1>Invoice ${escapeHtml(number)}</h1>
+    <p>Issued ${issueDate(invoice)}</p>
+    <p>
+      <strong>From</strong><br>
+      ${escapeHtml(fullName(contractor))}<br>
+      ${escapeHtml(contractor.profession)}
+    </p>
+    <p>
+      <strong>To</strong><br>
+      ${escapeHtml(fullName(client))}
+    </p>
+    <table>
+      <thead>
+        <tr><th>Description</th><th class="amount">Price</th><th class="amount">Amount</th></tr>
+      </thead>
+      <tbody>${rows}
+      </tbody>
+      <tfoot>
+        <tr><th colspan="2">Total</th><th class="amount">${total}</th></tr>
+      </tfoot>
+    </table>
+  </body>
+</html>
+`;
+};
+
+const PAGE = { width: 595, height: 842, margin: 50 };
+const FONT_SIZE = 11;
+const LEADING = 15;
+const LINES_PER_PAGE = Math.floor((PAGE.height - 2 * PAGE.margin) / LEADING);
+// Helvetica at 11pt fits about this many average characters between the margins
+const LINE_LENGTH = 90;
+
+/**
+ * @returns the text split on spaces into lines of at most LINE_LENGTH characters
+ */
+const wrap = (text) =>
+  String(text)
+    .split(/\s+/)
+    .reduce(
+      (lines, word) => {
+        const last = lines[lines.length - 1];
+        if (!last || `${last} ${word}`.length <= LINE_LENGTH)
+          lines[lines.length - 1] = last ? `${last} ${word}` : word;
+        else lines.push(word);
+        return lines;
+      },
+      [""]
+    )
+    .flatMap(
+      (line) => line.match(new RegExp(`.{1,${LINE_LENGTH}}`, "g")) || [""]
+    );
+
+/**
+ * @returns the text as a PDF string literal, anything WinAnsiEncoding can't show as Latin-1 replaced by `?`
+ */
+const pdfString = (text) =>
+  `(${text.replace(/[^\x20-\x7e\xa0-\xff]/g, "?").replace(/[\\()]/g, "\\$&")})`;
+
+/**
+ * @returns the PDF file made of `objects` (their dictionaries and streams, numbered from 1)
+ */
+const pdfFile = (objects) => {
+  let file = "%PDF-1.4\n";
+  const offsets = objects.map((object, index) => {
+    const offset = file.length;
+    file += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = file.length;
+  const size = objects.length + 1;
+  file += `xref\n0 ${size}\n0000000000 65535 f \n`;
+  file += offsets
+    .map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`)
+    .join("");
+  file += `trailer\n<< /Size ${size} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(file, "latin1");
+};
+
+/**
+ * @returns the invoice as a PDF document
+ */
+const renderPdf = (invoice) => {
+  const { number, currency, client, contractor } = invoice;
+  const lines = [
+    `Invoice ${number}`,
+    `Issued ${issueDate(invoice)}`,
+    "",
+    "From",
+    fullName(contractor),
+    contractor.profession,
+    "",
+    "To",
+    fullName(client),
+    "",
+    ...invoice.lineItems.flatMap((item) => [
+      ...wrap(item.description),
+      `    Price ${money(item.price, currency)}`,
+      `    Amount ${money(item.amount, currency)}`,
+      "",
+    ]),
+    `Total ${money(invoice.total, currency)}`,
+  ];
+
+  const pages = [];
+  for (let i = 0; i < lines.length; i += LINES_PER_PAGE)
+    pages.push(lines.slice(i, i + LINES_PER_PAGE));
+
+  // 1: catalog, 2: page tree, 3: font, then a page and its content per page
+  const pageRefs = pages.map((_, index) => `${4 + index * 2} 0 R`);
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    `<< /Type /Pages /Kids [${pageRefs.join(" ")}] /Count ${pages.length} >>`,
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+    ...pages.flatMap((page, index) => {
+      const content = [
+        "BT",
+        `/F1 ${FONT_SIZE} Tf`,
+        `${LEADING} TL`,
+        `${PAGE.margin} ${PAGE.height - PAGE.margin} Td`,
+        ...page.map((line) => `${pdfString(line)} '`),
+        "ET",
+      ].join("\n");
+
+      return [
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE.width} ${
+          PAGE.height
+        }] /Resources << /Font << /F1 3 0 R >> >> /Contents ${
+          5 + index * 2
+        } 0 R >>`,
+        `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+      ];
+    }),
+  ];
+
+  return pdfFile(objects);
+};
+
+module.exports = { renderHtml, renderPdf };
@@ -0,0 +1,61 @@
+import { describe, it, expect } from "vitest";
+import { renderHtml, renderPdf } from "./render";
+
+const invoice = {
+  number: "INV-6-00001",
+  issuedAt: "2020-08-15T19:11:26.737Z",
+  currency: "EUR",
+  total: 99.5,
+  lineItems: [
+    {
+      jobId: 1,
+      description: "<b>Fix</b> the (broken) build, café ✓",
+      price: 199,
+      amount: 99.5,
+    },
+  ],
+  client: { id: 1, firstName: "Harry", lastName: "Potter" },
+  contractor: {
+    id: 6,
+    firstName: "Linus",
+    lastName: "Torvalds",
+    profession: "Programmer",
+  },
+};
+
+describe("invoices", () => {
+  it("it should escape the job description in HTML", () => {
+    const html = renderHtml(invoice);
+
+    expect(html).toContain("&lt;b&gt;Fix&lt;/b&gt; the (broken) build, café ✓");
+    expect(html).toContain("99.50 EUR");
+    expect(html).toContain("Issued 2020-08-15");
+  });
+
+  it("it should render a PDF whose cross-reference table points at its objects", () => {
+    const pdf = renderPdf(invoice).toString("latin1");
+
+    const xref = Number(pdf.match(/startxref\n(\d+)/)[1]);
+    expect(pdf.slice(xref).startsWith("xref\n0 6\n")).toBe(true);
+    const offsets = pdf
+      .slice(xref)
+      .match(/^\d{10} 00000 n $/gm)
+      .map((line) => Number(line.slice(0, 10)));
+    offsets.forEach((offset, index) =>
+      expect(pdf.slice(offset).startsWith(`${index + 1} 0 obj`)).toBe(true)
+    );
+    expect(pdf).toContain("(<b>Fix</b> the \\(broken\\) build, café ?) '");
+  });
+
+  it("it should wrap long descriptions over several lines and pages", () => {
+    const pdf = renderPdf({
+      ...invoice,
+      lineItems: [
+        { ...invoice.lineItems[0], description: "word ".repeat(1000) },
+      ],
+    }).toString("latin1");
+
+    expect(pdf).toMatch(/\/Count [2-9] /);
+    expect(pdf).not.toMatch(/\([^)]{91,}\) '/);
+  });
+});
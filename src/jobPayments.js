@@ -0,0 +1,174 @@
+const { recordTransfer } = require("./ledger");
+const { adjustBalance } = require("./accounts");
+const { payFromEscrow } = require("./escrow");
+const { issueInvoice } = require("./invoices");
+const { HttpError } = require("./errors");
+const { toCents, fromCents } = require("./money");
+
+/**
+ * The money side of paying and refunding a job, shared by the job routes and dispute resolutions.
+ * They move the balances and record the Payment or Refund with its ledger entries, the caller updates
+ * the job's `amountPaid`/`amountRefunded` and status. `job` must include its Contract.
+ * Must be called with the IMMEDIATE transaction that locked the job.
+ */
+
+/**
+ * Pays `cents` of the job (in the contract's currency) from its client to its contractor.
+ * The contract's escrow is used first, then the client's balance in `sourceCurrency`, converted with `fx`.
+ * Every payment issues an invoice.
+ * @returns the payment
+ * @throws {HttpError} 402 when the client's balance doesn't cover it, 422 without an exchange rate
+ */
+const transferPayment = async (
+  { job, cents, sourceCurrency = job.Contract.currency, fx },
+  t
+) => {
+  const { Payment } = t.sequelize.models;
+  const { Contract: contract } = job;
+  const jobCurrency = contract.currency;
+
+  //Draw from the contract's escrow first, the client's balance pays the rest
+  const fromEscrow = Math.min(toCents(contract.escrow), cents);
+  const rest = cents - fromEscrow;
+  const source = fx.convert(rest, jobCurrency, sourceCurrency);
+
+  const payment = await Payment.create(
+    {
+      amount: fromCents(cents),
+      currency: jobCurrency,
+      fromEscrow: fromCents(fromEscrow),
+      sourceAmount: fromCents(source.cents),
+      sourceCurrency,
+      fxRate: source.rate,
+      JobId: job.id,
+      ProfileId: contract.ClientId,
+    },
+    { transaction: t }
+  );
+  await issueInvoice({ payment, job, contract }, t);
+
+  if (fromEscrow > 0) await payFromEscrow(contract, fromEscrow, job.id, t);
+
+  if (rest > 0) {
+    //Remove balance, only if the client can still afford it
+    const debited = await adjustBalance(
+      {
+        profileId: contract.ClientId,
+        currency: sourceCurrency,
+        cents: -source.cents,
+        requireFunds: true,
+      },
+      t
+    );
+    if (!debited)
+      throw new HttpError(
+        402,
+        "insufficient_balance",
+        "Balance is too low for this payment"
+      );
+
+    //Record the movement, converted ones through the external account
+    const transfer = { type: "payment", JobId: job.id };
+    if (sourceCurrency === jobCurrency) {
+      await recordTransfer(
+        {
+          ...transfer,
+          fromProfileId: contract.ClientId,
+          toProfileId: contract.ContractorId,
+          cents: rest,
+          currency: jobCurrency,
+        },
+        t
+      );
+    } else {
+      await recordTransfer(
+        {
+          ...transfer,
+          fromProfileId: contract.ClientId,
+          toProfileId: null,
+          cents: source.cents,
+          currency: sourceCurrency,
+        },
+        t
+      );
+      await recordTransfer(
+        {
+          ...transfer,
+          fromProfileId: null,
+          toProfileId: contract.ContractorId,
+          cents: rest,
+          currency: jobCurrency,
+        },
+        t
+      );
+    }
+  }
+
+  //Add balance
+  await adjustBalance(
+    { profileId: contract.ContractorId, currency: jobCurrency, cents },
+    t
+  );
+
+  return payment;
+};
+
+/**
+ * Refunds `cents` of the job (in the contract's currency) from its contractor back to its client,
+ * issued by `profileId` for `reason`. With `force` the contractor's balance may go negative.
+ * @returns the refund
+ * @throws {HttpError} 402 when the contractor's balance doesn't cover it
+ */
+const transferRefund = async (
+  { job, cents, reason, profileId, force = false },
+  t
+) => {
+  const { Refund } = t.sequelize.models;
+  const { Contract: contract } = job;
+  const { currency } = contract;
+
+  const refund = await Refund.create(
+    {
+      amount: fromCents(cents),
+      reason,
+      JobId: job.id,
+      ProfileId: profileId,
+    },
+    { transaction: t }
+  );
+
+  //Take it back from the contractor, only if they can still afford it
+  const debited = await adjustBalance(
+    {
+      profileId: contract.ContractorId,
+      currency,
+      cents: -cents,
+      requireFunds: !force,
+    },
+    t
+  );
+  if (!debited)
+    throw new HttpError(
+      402,
+      "insufficient_balance",
+      "Contractor balance is too low for this refund"
+    );
+
+  await adjustBalance({ profileId: contract.ClientId, currency, cents }, t);
+
+  await recordTransfer(
+    {
+      type: "refund",
+      fromProfileId: contract.ContractorId,
+      toProfileId: contract.ClientId,
+      cents,
+      currency,
+      JobId: job.id,
+    },
+    t
+  );
+
+  return refund;
+};
+
+module.exports = { transferPayment, transferRefund };
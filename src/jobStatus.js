@@ -0,0 +1,17 @@
+const { createStateMachine } = require("./stateMachine");
+
+/**
+ * The statuses a job may move to from each status. Only `approved` jobs can be paid,
+ * editing an unpaid job always sends it back to `draft` for the client to review again.
+ * Paid jobs can be refunded in part, they only become `refunded` once refunded in full.
+ * Refunding a partly paid `approved` job leaves its status alone, see the refund route.
+ * Resolving a dispute settles the job whatever its status, see src/disputes.js.
+ */
+module.exports = createStateMachine("job", {
+  draft: ["draft", "submitted"],
+  submitted: ["draft", "approved", "rejected"],
+  approved: ["draft", "paid"],
+  rejected: ["draft"],
+  paid: ["refunded"],
+  refunded: [],
+});
@@ -0,0 +1,125 @@
+const crypto = require("crypto");
+const { DEFAULT_CURRENCY } = require("./currency");
+const { toCents, fromCents } = require("./money");
+
+/**
+ * Records a balanced debit/credit pair moving `cents` from one account to another.
+ * A `null` profile id refers to the external (cash) account, used for deposits and currency conversions,
+ * unless a contract id is given for that side instead: the account is then the contract's escrow.
+ * Both sides are in `currency`, a conversion is recorded as two transfers through the external account.
+ * Must be called with the transaction that mutates the balances it describes.
+ */
+const recordTransfer = async (
+  {
+    type,
+    fromProfileId = null,
+    toProfileId = null,
+    fromContractId = null,
+    toContractId = null,
+    cents,
+    currency = DEFAULT_CURRENCY,
+    JobId = null,
+  },
+  transaction
+) => {
+  const { LedgerEntry } = transaction.sequelize.models;
+  const entryGroup = crypto.randomUUID();
+
+  return LedgerEntry.bulkCreate(
+    [
+      {
+        entryGroup,
+        type,
+        side: "debit",
+        amount: fromCents(cents),
+        currency,
+        ProfileId: fromProfileId,
+        ContractId: fromContractId,
+        JobId,
+      },
+      {
+        entryGroup,
+        type,
+        side: "credit",
+        amount: fromCents(cents),
+        currency,
+        ProfileId: toProfileId,
+        ContractId: toContractId,
+        JobId,
+      },
+    ],
+    { transaction }
+  );
+};
+
+/**
+ * @returns every balance (per profile and currency) whose stored amount differs from the sum of its ledger entries
+ */
+const reconcile = async (sequelize) => {
+  const [results] = await sequelize.query(
+    `SELECT stored.id as id, stored.currency as currency, stored.balance as balance, 
+        COALESCE(SUM(CASE ledgerEntries.side WHEN 'credit' THEN ROUND(ledgerEntries.amount * 100) ELSE -ROUND(ledgerEntries.amount * 100) END), 0) as ledgerCents 
+        FROM (
+          SELECT id, :defaultCurrency as currency, balance FROM profiles 
+          UNION ALL SELECT ProfileId as id, currency, amount as balance FROM balances
+        ) as stored 
+        LEFT JOIN ledgerEntries ON ledgerEntries.ProfileId = stored.id AND ledgerEntries.currency = stored.currency 
+        GROUP BY stored.id, stored.currency`,
+    { replacements: { defaultCurrency: DEFAULT_CURRENCY } }
+  );
+
+  return results
+    .filter(({ balance, ledgerCents }) => toCents(balance) !== ledgerCents)
+    .map(({ id, currency, balance, ledgerCents }) => ({
+      id,
+      currency,
+      balance: fromCents(toCents(balance)),
+      ledgerBalance: fromCents(ledgerCents),
+    }));
+};
+
+/**
+ * @returns every contract whose escrow differs from the sum of its escrow's ledger entries
+ */
+const reconcileEscrow = async (sequelize) => {
+  const [results] = await sequelize.query(
+    `SELECT contracts.id as id, contracts.currency as currency, contracts.escrow as escrow, 
+        COALESCE(SUM(CASE ledgerEntries.side WHEN 'credit' THEN ROUND(ledgerEntries.amount * 100) ELSE -ROUND(ledgerEntries.amount * 100) END), 0) as ledgerCents 
+        FROM contracts 
+        LEFT JOIN ledgerEntries ON ledgerEntries.ContractId = contracts.id AND ledgerEntries.ProfileId IS NULL 
+        GROUP BY contracts.id`
+  );
+
+  return results
+    .filter(({ escrow, ledgerCents }) => toCents(escrow) !== ledgerCents)
+    .map(({ id, currency, escrow, ledgerCents }) => ({
+      contractId: id,
+      currency,
+      escrow: fromCents(toCents(escrow)),
+      ledgerEscrow: fromCents(ledgerCents),
+    }));
+};
+
+/**
+ * Creates the opening balance entries for profiles created outside of the ledger (ie: seeding)
+ */
+const openBalances = async (sequelize) => {
+  const { Profile } = sequelize.models;
+  const profiles = await Profile.findAll();
+
+  await sequelize.transaction(async (transaction) => {
+    for (const profile of profiles) {
+      await recordTransfer(
+        {
+          type: "opening_balance",
+          fromProfileId: null,
+          toProfileId: profile.id,
+          cents: toCents(profile.balance),
+        },
+        transaction
+      );
+    }
+  });
+};
+
+module.exports = { recordTransfer, reconcile, reconcileEscrow, openBalances };
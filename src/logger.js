@@ -0,0 +1,20 @@
+/**
+ * Log levels, most verbose first. SQL queries are logged at `debug`, `silent` logs nothing.
+ */
+const LEVELS = ["debug", "info", "warn", "error", "silent"];
+
+/**
+ * @returns a logger writing to `output` the messages at `level` or above
+ */
+const createLogger = (level = "info", output = console) => {
+  const threshold = LEVELS.indexOf(level);
+
+  return Object.fromEntries(
+    LEVELS.slice(0, -1).map((name, index) => [
+      name,
+      index >= threshold ? (...args) => output[name](...args) : () => {},
+    ])
+  );
+};
+
+module.exports = { createLogger, LEVELS };
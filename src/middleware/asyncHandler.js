@@ -0,0 +1,8 @@
+/**
+ * Wraps an async route handler so a rejection reaches the error handler through `next`,
+ * Express 4 leaves rejected promises unhandled and the request hanging.
+ */
+const asyncHandler = (handler) => (req, res, next) =>
+  Promise.resolve(handler(req, res, next)).catch(next);
+
+module.exports = { asyncHandler };
@@ -0,0 +1,27 @@
+const { validate, date } = require("../validation");
+
+/**
+ * Parses and validates the `start` and `end` query parameters shared by the admin reports.
+ * On success the parsed dates are available under `req.dateRange`.
+ */
+const dateRange = [
+  validate({
+    query: { start: date(), end: date() },
+    refine: (req) =>
+      req.query.start > req.query.end
+        ? [
+            {
+              location: "query",
+              field: "start",
+              message: "start must not be after end",
+            },
+          ]
+        : [],
+  }),
+  (req, res, next) => {
+    const { start, end } = req.query;
+    req.dateRange = { start, end };
+    next();
+  },
+];
+module.exports = { dateRange };
@@ -0,0 +1,39 @@
+const { HttpError } = require("../errors");
+
+/**
+ * Answers any unmatched route with a 404 in the common error format.
+ */
+const notFound = (req, res, next) =>
+  next(new HttpError(404, "not_found", `Cannot ${req.method} ${req.path}`));
+
+/**
+ * Turns every error passed to `next` into a `{ code, message, details }` JSON body.
+ * Errors other than `HttpError` are logged and hidden behind a 500.
+ */
+// Express only treats middleware with four arguments as an error handler
+const errorHandler = (error, req, res, next) => {
+  if (res.headersSent) return next(error);
+
+  if (error instanceof HttpError) {
+    return res.status(error.status).json({
+      code: error.code,
+      message: error.message,
+      details: error.details,
+    });
+  }
+
+  // Malformed JSON bodies, rejected by body-parser
+  if (error.type === "entity.parse.failed") {
+    return res.status(400).json({
+      code: "invalid_json",
+      message: "Request body is not valid JSON",
+    });
+  }
+
+  req.app.get("logger").error(error);
+  res.status(500).json({
+    code: "internal_error",
+    message: "Something went wrong",
+  });
+};
+module.exports = { notFound, errorHandler };
@@ -1,10 +1,34 @@
+const { verifyToken } = require('../auth')
+const { HttpError } = require('../errors')
 
+const unauthenticated = () => new HttpError(401, 'unauthenticated', 'A valid bearer token is required')
+
+/**
+ * Authenticates the caller from an `Authorization: Bearer <token>` header.
+ * The legacy `profile_id` header is only trusted when `allowProfileIdHeader` is enabled (development only).
+ */
 const getProfile = async (req, res, next) => {
     const {Profile} = req.app.get('models')
-    console.log(req.get('profile_id'))
-    const profile = await Profile.findOne({where: {id: req.get('profile_id') || 0}})
-    if(!profile) return res.status(401).end()
-    req.profile = profile
-    next()
+    const auth = req.app.get('auth')
+    const authorization = req.get('Authorization')
+    let profileId
+
+    if (authorization) {
+        const [scheme, token] = authorization.split(' ')
+        const claims = scheme === 'Bearer' ? verifyToken(token, auth) : null
+        if (!claims) return next(unauthenticated())
+        profileId = claims.sub
+    } else if (auth.allowProfileIdHeader) {
+        profileId = req.get('profile_id')
+    }
+
+    try {
+        const profile = await Profile.findOne({where: {id: profileId || 0}})
+        if(!profile) return next(unauthenticated())
+        req.profile = profile
+        next()
+    } catch (error) {
+        next(error)
+    }
 }
-module.exports = {getProfile}
\ No newline at end of file
+module.exports = {getProfile}
@@ -0,0 +1,126 @@
+const crypto = require("crypto");
+const { UniqueConstraintError } = require("sequelize");
+const { HttpError } = require("../errors");
+
+const MAX_KEY_LENGTH = 255;
+
+const fingerprintOf = (req) =>
+  crypto
+    .createHash("sha256")
+    .update(
+      JSON.stringify({
+        method: req.method,
+        path: req.baseUrl + req.path,
+        body: req.body || null,
+      })
+    )
+    .digest("hex");
+
+/**
+ * Claims `key` for the caller, retrying once when the row it collided with was released in the meantime
+ * (its request failed with a 5xx).
+ * @returns `{ record }` once claimed, `{ existing }` when the key is already used
+ */
+const claim = async (req, key, fingerprint, retries = 1) => {
+  const { IdempotencyKey } = req.app.get("models");
+
+  try {
+    return {
+      record: await IdempotencyKey.create({
+        key,
+        fingerprint,
+        ProfileId: req.profile.id,
+      }),
+    };
+  } catch (error) {
+    if (!(error instanceof UniqueConstraintError)) throw error;
+
+    const existing = await IdempotencyKey.findOne({
+      where: { ProfileId: req.profile.id, key },
+    });
+    if (existing) return { existing };
+    if (retries > 0) return claim(req, key, fingerprint, retries - 1);
+    throw new HttpError(
+      409,
+      "idempotency_key_in_use",
+      "A request with this Idempotency-Key is still being processed"
+    );
+  }
+};
+
+/**
+ * Honours the `Idempotency-Key` header: the first response for a key is stored and replayed for
+ * identical retries, reusing a key with a different request is rejected with 422.
+ * Keys are scoped to the calling profile, so it must come after `getProfile`.
+ * Requests without the header are passed straight through.
+ */
+const idempotency = async (req, res, next) => {
+  const key = req.get("Idempotency-Key");
+
+  if (key === undefined) return next();
+
+  if (!key.length || key.length > MAX_KEY_LENGTH)
+    return next(
+      new HttpError(
+        400,
+        "invalid_idempotency_key",
+        `Idempotency-Key must be between 1 and ${MAX_KEY_LENGTH} characters`
+      )
+    );
+
+  const fingerprint = fingerprintOf(req);
+  let record;
+
+  try {
+    // Claim the key first so a concurrent retry can't run the request a second time
+    const claimed = await claim(req, key, fingerprint);
+    record = claimed.record;
+    const { existing } = claimed;
+
+    if (existing && existing.fingerprint !== fingerprint)
+      throw new HttpError(
+        422,
+        "idempotency_key_reused",
+        "Idempotency-Key has already been used with a different request"
+      );
+
+    if (existing && existing.responseStatus === null)
+      throw new HttpError(
+        409,
+        "idempotency_key_in_use",
+        "A request with this Idempotency-Key is still being processed"
+      );
+
+    if (existing) {
+      res.set("Idempotent-Replayed", "true");
+      res.status(existing.responseStatus);
+      if (existing.responseType) res.type(existing.responseType);
+      return res.end(existing.responseBody);
+    }
+  } catch (error) {
+    return next(error);
+  }
+
+  // Store the response before it is sent, so a retry arriving straight after sees it
+  const end = res.end.bind(res);
+  res.end = (chunk, encoding, callback) => {
+    const persist =
+      res.statusCode >= 500
+        ? // Unexpected failures should be retryable
+          record.destroy()
+        : record.update({
+            responseStatus: res.statusCode,
+            responseType: res.get("Content-Type") || null,
+            responseBody: chunk === undefined ? null : String(chunk),
+          });
+
+    persist
+      .catch((error) => req.app.get("logger").error(error))
+      .then(() => end(chunk, encoding, callback));
+
+    return res;
+  };
+
+  next();
+};
+module.exports = { idempotency };
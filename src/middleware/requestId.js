@@ -0,0 +1,17 @@
+const crypto = require("crypto");
+
+const REQUEST_ID_PATTERN = /^[\w-]{1,64}$/;
+
+/**
+ * Tags the request with `req.id`, the caller's (or proxy's) `X-Request-Id` when it is sane, a new UUID otherwise.
+ * The id is echoed back in the response so it can be matched with the audit log.
+ */
+const requestId = (req, res, next) => {
+  const header = req.get("X-Request-Id");
+  req.id =
+    header && REQUEST_ID_PATTERN.test(header) ? header : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+  next();
+};
+
+module.exports = { requestId };
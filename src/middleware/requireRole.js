@@ -0,0 +1,34 @@
+const { HttpError } = require("../errors");
+
+const forbidden = () =>
+  new HttpError(403, "forbidden", "You are not allowed to do this");
+
+/**
+ * Only lets through profiles whose `type` is one of the given roles, must run after `getProfile`.
+ * Authenticated callers without the role are forbidden (403) rather than unauthenticated (401).
+ */
+const requireRole =
+  (...roles) =>
+  async (req, res, next) => {
+    if (!req.profile)
+      return next(new HttpError(401, "unauthenticated", "Not authenticated"));
+    if (!roles.includes(req.profile.type)) return next(forbidden());
+    next();
+  };
+
+/**
+ * Only lets through the profile named by the `param` route parameter, or profiles with one of the given roles.
+ */
+const requireSelfOrRole =
+  (param, ...roles) =>
+  async (req, res, next) => {
+    if (!req.profile)
+      return next(new HttpError(401, "unauthenticated", "Not authenticated"));
+    if (
+      String(req.profile.id) !== String(req.params[param]) &&
+      !roles.includes(req.profile.type)
+    )
+      return next(forbidden());
+    next();
+  };
+module.exports = { requireRole, requireSelfOrRole };
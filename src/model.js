@@ -1,90 +1,774 @@
+const crypto = require("crypto");
 const Sequelize = require("sequelize");
+const sqlite3 = require("sqlite3");
+const { normalise, toCents, fromCents } = require("./money");
+const { DEFAULT_CURRENCY } = require("./currency");
 
-const sequelize = new Sequelize({
-  dialect: "sqlite",
-  storage: "./database.sqlite3",
-});
+/**
+ * Defines every model, and their associations, on `sequelize`.
+ * @returns the models by name
+ */
+const defineModels = (sequelize) => {
+  class Profile extends Sequelize.Model {}
+  Profile.init(
+    {
+      firstName: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      lastName: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      profession: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      // The balance in the default currency, balances in other currencies are kept in Balances
+      balance: {
+        type: Sequelize.DECIMAL(12, 2),
+        get() {
+          return normalise(this.getDataValue("balance"));
+        },
+      },
+      type: {
+        type: Sequelize.ENUM("client", "contractor", "admin"),
+      },
+      // Selects the deposit policy rules applying to a client
+      tier: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        defaultValue: "standard",
+      },
+    },
+    {
+      sequelize,
+      modelName: "Profile",
+    }
+  );
 
-class Profile extends Sequelize.Model {}
-Profile.init(
-  {
-    firstName: {
-      type: Sequelize.STRING,
-      allowNull: false,
+  class Contract extends Sequelize.Model {}
+  Contract.init(
+    {
+      terms: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+      },
+      status: {
+        type: Sequelize.ENUM("new", "in_progress", "terminated"),
+      },
+      // The currency the contract's jobs are priced and paid in
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false,
+        defaultValue: DEFAULT_CURRENCY,
+      },
+      // Funded up front by the client, job payments draw from it first
+      escrow: {
+        type: Sequelize.DECIMAL(12, 2),
+        get() {
+          return normalise(this.getDataValue("escrow"));
+        },
+        allowNull: false,
+        defaultValue: 0,
+      },
+      // Recurring contracts bill `billingAmount` every `billingInterval`, see src/billing/index.js
+      billingInterval: {
+        type: Sequelize.ENUM("week", "month"),
+      },
+      billingAmount: {
+        type: Sequelize.DECIMAL(12, 2),
+        get() {
+          return normalise(this.getDataValue("billingAmount"));
+        },
+      },
+      // Pays the billed jobs from the client's escrow and balance straight away
+      billingAutoPay: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      billingStartAt: {
+        type: Sequelize.DATE,
+      },
+      // The start of the next period to bill
+      nextBillingAt: {
+        type: Sequelize.DATE,
+      },
     },
-    lastName: {
-      type: Sequelize.STRING,
-      allowNull: false,
+    {
+      sequelize,
+      modelName: "Contract",
+    }
+  );
+
+  class Job extends Sequelize.Model {}
+  Job.init(
+    {
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+      },
+      price: {
+        type: Sequelize.DECIMAL(12, 2),
+        get() {
+          return normalise(this.getDataValue("price"));
+        },
+        allowNull: false,
+      },
+      // Only flips once the payments add up to the price
+      paid: {
+        type: Sequelize.BOOLEAN,
+        default: false,
+      },
+      // Sum of the job's payments, kept in step with them
+      amountPaid: {
+        type: Sequelize.DECIMAL(12, 2),
+        get() {
+          return normalise(this.getDataValue("amountPaid"));
+        },
+        allowNull: false,
+        defaultValue: 0,
+      },
+      // Sum of the job's refunds, never more than `amountPaid`
+      amountRefunded: {
+        type: Sequelize.DECIMAL(12, 2),
+        get() {
+          return normalise(this.getDataValue("amountRefunded"));
+        },
+        allowNull: false,
+        defaultValue: 0,
+      },
+      // What is left to pay, refunded payments being owed again
+      amountDue: {
+        type: Sequelize.VIRTUAL,
+        get() {
+          const price = this.getDataValue("price");
+          const amountPaid = this.getDataValue("amountPaid");
+          const amountRefunded = this.getDataValue("amountRefunded");
+          if (price == null || amountPaid == null || amountRefunded == null)
+            return undefined;
+          return fromCents(
+            toCents(price) - toCents(amountPaid) + toCents(amountRefunded)
+          );
+        },
+      },
+      paymentDate: {
+        type: Sequelize.DATE,
+      },
+      // Kept in step with `paid`, see src/jobStatus.js for the allowed transitions
+      status: {
+        type: Sequelize.ENUM(
+          "draft",
+          "submitted",
+          "approved",
+          "rejected",
+          "paid",
+          "refunded"
+        ),
+        allowNull: false,
+        defaultValue: "draft",
+      },
     },
-    profession: {
-      type: Sequelize.STRING,
-      allowNull: false,
+    {
+      sequelize,
+      modelName: "Job",
+    }
+  );
+
+  class Payment extends Sequelize.Model {}
+  Payment.init(
+    {
+      amount: {
+        type: Sequelize.DECIMAL(12, 2),
+        get() {
+          return normalise(this.getDataValue("amount"));
+        },
+        allowNull: false,
+      },
+      // The job's currency, `amount` is what the job was paid
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false,
+        defaultValue: DEFAULT_CURRENCY,
+      },
+      // The part of `amount` drawn from the contract's escrow, the rest came from the client's balance
+      fromEscrow: {
+        type: Sequelize.DECIMAL(12, 2),
+        get() {
+          return normalise(this.getDataValue("fromEscrow"));
+        },
+        allowNull: false,
+        defaultValue: 0,
+      },
+      // What the client's balance was debited, in another currency when converted at `fxRate`
+      sourceCurrency: {
+        type: Sequelize.STRING(3),
+        allowNull: false,
+        defaultValue: DEFAULT_CURRENCY,
+      },
+      sourceAmount: {
+        type: Sequelize.DECIMAL(12, 2),
+        get() {
+          return normalise(this.getDataValue("sourceAmount"));
+        },
+        allowNull: false,
+      },
+      fxRate: {
+        type: Sequelize.DECIMAL(18, 8),
+        allowNull: false,
+        defaultValue: 1,
+      },
     },
-    balance: {
-      type: Sequelize.DECIMAL(12, 2),
+    {
+      sequelize,
+      modelName: "Payment",
+    }
+  );
+
+  class Refund extends Sequelize.Model {}
+  Refund.init(
+    {
+      amount: {
+        type: Sequelize.DECIMAL(12, 2),
+        get() {
+          return normalise(this.getDataValue("amount"));
+        },
+        allowNull: false,
+      },
+      reason: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+      },
     },
-    type: {
-      type: Sequelize.ENUM("client", "contractor"),
+    {
+      sequelize,
+      modelName: "Refund",
+    }
+  );
+
+  // Issued for every payment, see src/invoices/index.js. Parties and line items are copied
+  // at issue time so later edits to the profiles or job don't change the document.
+  class Invoice extends Sequelize.Model {}
+  Invoice.init(
+    {
+      // Per contractor, without gaps
+      sequence: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+      },
+      // eg: `INV-7-00012`
+      number: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true,
+      },
+      issuedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false,
+        defaultValue: DEFAULT_CURRENCY,
+      },
+      total: {
+        type: Sequelize.DECIMAL(12, 2),
+        get() {
+          return normalise(this.getDataValue("total"));
+        },
+        allowNull: false,
+      },
+      lineItems: {
+        type: Sequelize.JSON,
+        allowNull: false,
+      },
+      client: {
+        type: Sequelize.JSON,
+        allowNull: false,
+      },
+      contractor: {
+        type: Sequelize.JSON,
+        allowNull: false,
+      },
     },
-  },
-  {
-    sequelize,
-    modelName: "Profile",
-  }
-);
-
-class Contract extends Sequelize.Model {}
-Contract.init(
-  {
-    terms: {
-      type: Sequelize.TEXT,
-      allowNull: false,
-    },
-    status: {
-      type: Sequelize.ENUM("new", "in_progress", "terminated"),
+    {
+      sequelize,
+      modelName: "Invoice",
+      indexes: [{ unique: true, fields: ["ContractorId", "sequence"] }],
+    }
+  );
+
+  // Raised by either party on a job, see src/disputes.js
+  class Dispute extends Sequelize.Model {}
+  Dispute.init(
+    {
+      reason: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+      },
+      // See src/disputeStatus.js for the allowed transitions
+      status: {
+        type: Sequelize.ENUM("open", "resolved"),
+        allowNull: false,
+        defaultValue: "open",
+      },
+      // How an admin settled the job, set once resolved
+      resolution: {
+        type: Sequelize.ENUM("pay", "refund", "split"),
+      },
+      // What the contractor keeps of the job's price after the resolution
+      contractorAmount: {
+        type: Sequelize.DECIMAL(12, 2),
+        get() {
+          return normalise(this.getDataValue("contractorAmount"));
+        },
+      },
+      note: {
+        type: Sequelize.TEXT,
+      },
+      resolvedAt: {
+        type: Sequelize.DATE,
+      },
     },
-  },
-  {
-    sequelize,
-    modelName: "Contract",
-  }
-);
-
-class Job extends Sequelize.Model {}
-Job.init(
-  {
-    description: {
-      type: Sequelize.TEXT,
-      allowNull: false,
-    },
-    price: {
-      type: Sequelize.DECIMAL(12, 2),
-      allowNull: false,
-    },
-    paid: {
-      type: Sequelize.BOOLEAN,
-      default: false,
-    },
-    paymentDate: {
-      type: Sequelize.DATE,
+    {
+      sequelize,
+      modelName: "Dispute",
+    }
+  );
+
+  class DisputeMessage extends Sequelize.Model {}
+  DisputeMessage.init(
+    {
+      body: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+      },
+    },
+    {
+      sequelize,
+      modelName: "DisputeMessage",
+    }
+  );
+
+  // A period billed on a recurring contract, with the job it created
+  class BillingCycle extends Sequelize.Model {}
+  BillingCycle.init(
+    {
+      periodStart: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      // `skipped` when the job couldn't be paid automatically, see `failureReason`
+      status: {
+        type: Sequelize.ENUM("billed", "paid", "skipped"),
+        allowNull: false,
+        defaultValue: "billed",
+      },
+      failureReason: {
+        type: Sequelize.STRING,
+      },
+    },
+    {
+      sequelize,
+      modelName: "BillingCycle",
+      indexes: [{ unique: true, fields: ["ContractId", "periodStart"] }],
+    }
+  );
+
+  class Credential extends Sequelize.Model {}
+  Credential.init(
+    {
+      username: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true,
+      },
+      // Never the password itself, see src/auth.js
+      passwordHash: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+    },
+    {
+      sequelize,
+      modelName: "Credential",
+    }
+  );
+
+  class LedgerEntry extends Sequelize.Model {}
+  LedgerEntry.init(
+    {
+      // Shared by the debit and credit halves of a single movement
+      entryGroup: {
+        type: Sequelize.UUID,
+        allowNull: false,
+      },
+      type: {
+        type: Sequelize.ENUM(
+          "opening_balance",
+          "deposit",
+          "payment",
+          "refund",
+          "withdrawal",
+          "withdrawal_reversal",
+          "escrow_funding",
+          "escrow_release"
+        ),
+        allowNull: false,
+      },
+      // A credit increases the profile's balance, a debit decreases it
+      side: {
+        type: Sequelize.ENUM("debit", "credit"),
+        allowNull: false,
+      },
+      amount: {
+        type: Sequelize.DECIMAL(12, 2),
+        get() {
+          return normalise(this.getDataValue("amount"));
+        },
+        allowNull: false,
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false,
+        defaultValue: DEFAULT_CURRENCY,
+      },
+    },
+    {
+      sequelize,
+      modelName: "LedgerEntry",
+    }
+  );
+
+  class Balance extends Sequelize.Model {}
+  Balance.init(
+    {
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false,
+      },
+      amount: {
+        type: Sequelize.DECIMAL(12, 2),
+        get() {
+          return normalise(this.getDataValue("amount"));
+        },
+        allowNull: false,
+        defaultValue: 0,
+      },
+    },
+    {
+      sequelize,
+      modelName: "Balance",
+      indexes: [{ unique: true, fields: ["ProfileId", "currency"] }],
+    }
+  );
+
+  class Payout extends Sequelize.Model {}
+  Payout.init(
+    {
+      amount: {
+        type: Sequelize.DECIMAL(12, 2),
+        get() {
+          return normalise(this.getDataValue("amount"));
+        },
+        allowNull: false,
+      },
+      // See src/payoutStatus.js for the allowed transitions
+      status: {
+        type: Sequelize.ENUM(
+          "pending",
+          "processing",
+          "paid",
+          "failed",
+          "cancelled"
+        ),
+        allowNull: false,
+        defaultValue: "pending",
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false,
+        defaultValue: DEFAULT_CURRENCY,
+      },
+      // The payout's id at the payout provider, once handed over
+      providerReference: {
+        type: Sequelize.STRING,
+      },
+      failureReason: {
+        type: Sequelize.STRING,
+      },
+    },
+    {
+      sequelize,
+      modelName: "Payout",
+    }
+  );
+
+  class AuditEvent extends Sequelize.Model {}
+  AuditEvent.init(
+    {
+      // eg: `job.pay`, `contract.accept`
+      action: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      // The model name and id of what was changed
+      targetType: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      targetId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+      },
+      before: {
+        type: Sequelize.JSON,
+      },
+      after: {
+        type: Sequelize.JSON,
+      },
+      requestId: {
+        type: Sequelize.STRING,
+      },
+    },
+    {
+      sequelize,
+      modelName: "AuditEvent",
+    }
+  );
+
+  class WebhookSubscription extends Sequelize.Model {}
+  WebhookSubscription.init(
+    {
+      url: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      // The event types delivered to the url, see src/webhooks/index.js
+      events: {
+        type: Sequelize.JSON,
+        allowNull: false,
+      },
+      // Signs the deliveries, only ever returned when the subscription is created
+      secret: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
     },
+    {
+      sequelize,
+      modelName: "WebhookSubscription",
+      defaultScope: { attributes: { exclude: ["secret"] } },
+      scopes: { withSecret: {} },
+    }
+  );
+
+  // The outbox, written in the transaction of the change it describes
+  class WebhookEvent extends Sequelize.Model {}
+  WebhookEvent.init(
+    {
+      type: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      data: {
+        type: Sequelize.JSON,
+        allowNull: false,
+      },
+    },
+    {
+      sequelize,
+      modelName: "WebhookEvent",
+    }
+  );
+
+  class WebhookDelivery extends Sequelize.Model {}
+  WebhookDelivery.init(
+    {
+      // `dead` once every attempt failed, see src/webhooks/index.js
+      status: {
+        type: Sequelize.ENUM("pending", "delivered", "dead"),
+        allowNull: false,
+        defaultValue: "pending",
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      nextAttemptAt: {
+        type: Sequelize.DATE,
+      },
+      deliveredAt: {
+        type: Sequelize.DATE,
+      },
+      responseStatus: {
+        type: Sequelize.INTEGER,
+      },
+      lastError: {
+        type: Sequelize.STRING,
+      },
+    },
+    {
+      sequelize,
+      modelName: "WebhookDelivery",
+    }
+  );
+
+  class IdempotencyKey extends Sequelize.Model {}
+  IdempotencyKey.init(
+    {
+      // Unique per profile, see the index below
+      key: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      // Hash of the method, path and body the key was first used with
+      fingerprint: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      // The stored response, empty while the original request is still in flight
+      responseStatus: {
+        type: Sequelize.INTEGER,
+      },
+      responseType: {
+        type: Sequelize.STRING,
+      },
+      responseBody: {
+        type: Sequelize.TEXT,
+      },
+    },
+    {
+      sequelize,
+      modelName: "IdempotencyKey",
+      indexes: [{ unique: true, fields: ["ProfileId", "key"] }],
+    }
+  );
+
+  Profile.hasMany(Contract, { as: "Contractor", foreignKey: "ContractorId" });
+  Contract.belongsTo(Profile, { as: "Contractor" });
+  Profile.hasMany(Contract, { as: "Client", foreignKey: "ClientId" });
+  Contract.belongsTo(Profile, { as: "Client" });
+  Contract.hasMany(Job);
+  Job.belongsTo(Contract);
+  // A job is paid for in one or more payments by its contract's client
+  Job.hasMany(Payment, { foreignKey: { allowNull: false } });
+  Payment.belongsTo(Job);
+  Profile.hasMany(Payment, { foreignKey: { allowNull: false } });
+  Payment.belongsTo(Profile);
+  // Refunds are issued by the job's contractor or an admin
+  Job.hasMany(Refund, { foreignKey: { allowNull: false } });
+  Refund.belongsTo(Job);
+  Profile.hasMany(Refund, { foreignKey: { allowNull: false } });
+  Refund.belongsTo(Profile);
+  // One invoice per payment, numbered in the contractor's sequence
+  Payment.hasOne(Invoice, { foreignKey: { allowNull: false, unique: true } });
+  Invoice.belongsTo(Payment);
+  Job.hasMany(Invoice, { foreignKey: { allowNull: false } });
+  Invoice.belongsTo(Job);
+  Profile.hasMany(Invoice, {
+    as: "IssuedInvoices",
+    foreignKey: { name: "ContractorId", allowNull: false },
+  });
+  Invoice.belongsTo(Profile, { as: "Contractor", foreignKey: "ContractorId" });
+  Profile.hasMany(Invoice, {
+    as: "ReceivedInvoices",
+    foreignKey: { name: "ClientId", allowNull: false },
+  });
+  Invoice.belongsTo(Profile, { as: "Client", foreignKey: "ClientId" });
+  // At most one open dispute per job, with a thread of messages from the parties and admins
+  Job.hasMany(Dispute, { foreignKey: { allowNull: false } });
+  Dispute.belongsTo(Job);
+  Profile.hasMany(Dispute, {
+    as: "OpenedDisputes",
+    foreignKey: { name: "OpenedById", allowNull: false },
+  });
+  Dispute.belongsTo(Profile, { as: "OpenedBy", foreignKey: "OpenedById" });
+  Profile.hasMany(Dispute, {
+    as: "ResolvedDisputes",
+    foreignKey: "ResolvedById",
+  });
+  Dispute.belongsTo(Profile, { as: "ResolvedBy", foreignKey: "ResolvedById" });
+  Dispute.hasMany(DisputeMessage, { foreignKey: { allowNull: false } });
+  DisputeMessage.belongsTo(Dispute);
+  Profile.hasMany(DisputeMessage, {
+    foreignKey: { name: "AuthorId", allowNull: false },
+  });
+  DisputeMessage.belongsTo(Profile, { as: "Author", foreignKey: "AuthorId" });
+  // Every period of a recurring contract is billed once
+  Contract.hasMany(BillingCycle, { foreignKey: { allowNull: false } });
+  BillingCycle.belongsTo(Contract);
+  Job.hasOne(BillingCycle, { foreignKey: { allowNull: false } });
+  BillingCycle.belongsTo(Job);
+  Profile.hasOne(Credential, { foreignKey: { allowNull: false } });
+  Credential.belongsTo(Profile);
+  // One balance per currency other than the default, see src/accounts.js
+  Profile.hasMany(Balance, { foreignKey: { allowNull: false } });
+  Balance.belongsTo(Profile);
+  Profile.hasMany(Payout, { foreignKey: { allowNull: false } });
+  Payout.belongsTo(Profile);
+  // Events without an actor were made by the system
+  Profile.hasMany(AuditEvent, { foreignKey: "ActorId" });
+  AuditEvent.belongsTo(Profile, { as: "Actor", foreignKey: "ActorId" });
+  // Entries without a ProfileId belong to the escrow of their ContractId, or without one to the external (cash) account
+  Profile.hasMany(LedgerEntry);
+  LedgerEntry.belongsTo(Profile);
+  Contract.hasMany(LedgerEntry);
+  LedgerEntry.belongsTo(Contract);
+  Job.hasMany(LedgerEntry);
+  LedgerEntry.belongsTo(Job);
+  // Keys belong to the profile that sent them, others can't replay its responses
+  Profile.hasMany(IdempotencyKey, { foreignKey: { allowNull: false } });
+  IdempotencyKey.belongsTo(Profile);
+  // Every event is delivered once to each subscription listening to it
+  WebhookEvent.hasMany(WebhookDelivery, {
+    foreignKey: { allowNull: false },
+    onDelete: "CASCADE",
+  });
+  WebhookDelivery.belongsTo(WebhookEvent);
+  WebhookSubscription.hasMany(WebhookDelivery, {
+    foreignKey: { allowNull: false },
+    onDelete: "CASCADE",
+  });
+  WebhookDelivery.belongsTo(WebhookSubscription);
+
+  return sequelize.models;
+};
+
+/**
+ * An in-memory SQLite database, shared by the connections of its Sequelize instance (Sequelize opens one
+ * per transaction) and private to it. Transactions waiting on each other's locks are retried.
+ */
+const inMemory = () => ({
+  storage: `file:memory-${crypto.randomUUID()}?mode=memory&cache=shared`,
+  dialectOptions: {
+    mode: sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE | sqlite3.OPEN_URI,
   },
-  {
-    sequelize,
-    modelName: "Job",
-  }
-);
-
-Profile.hasMany(Contract, { as: "Contractor", foreignKey: "ContractorId" });
-Contract.belongsTo(Profile, { as: "Contractor" });
-Profile.hasMany(Contract, { as: "Client", foreignKey: "ClientId" });
-Contract.belongsTo(Profile, { as: "Client" });
-Contract.hasMany(Job);
-Job.belongsTo(Contract);
-
-module.exports = {
-  sequelize,
-  Profile,
-  Contract,
-  Job,
+  retry: { match: [/SQLITE_BUSY/, /SQLITE_LOCKED/], max: 20 },
+});
+
+/**
+ * @param {Object} database the `database` settings, see src/config.js
+ * @returns a Sequelize instance for the database with every model defined, logging its queries to `logger.debug`
+ */
+const createDatabase = ({ dialect, url, storage }, { logger } = {}) => {
+  const options = {
+    logging: logger ? (sql) => logger.debug(sql) : false,
+    ...(dialect === "sqlite" && storage === ":memory:" && inMemory()),
+  };
+  const sequelize = url
+    ? new Sequelize(url, options)
+    : new Sequelize({ dialect, storage, ...options });
+
+  defineModels(sequelize);
+  return sequelize;
 };
+
+module.exports = { createDatabase, defineModels };
@@ -0,0 +1,98 @@
+const { literal } = require("sequelize");
+const { HttpError } = require("./errors");
+
+/**
+ * Money is handled as integer minor units (cents) in code and stored as DECIMAL(12, 2).
+ * Never add, subtract or compare raw balances/prices, convert them with `toCents` first.
+ */
+
+// DECIMAL(12, 2) leaves 10 digits before the decimal point
+const AMOUNT_PATTERN = /^(\d{1,10})(?:\.(\d{1,2}))?$/;
+
+/**
+ * @returns the amount in cents, accepting numbers and decimal strings (as returned by some dialects)
+ */
+const toCents = (value) => {
+  const number = typeof value === "string" ? Number(value.trim()) : value;
+  if (typeof number !== "number" || !Number.isFinite(number))
+    throw new TypeError(`Invalid money value: ${value}`);
+  // Well within Number precision for DECIMAL(12, 2)
+  return Math.round(number * 100);
+};
+
+/**
+ * @returns the cents as a number with at most two decimal places, for JSON responses
+ */
+const fromCents = (cents) => cents / 100;
+
+/**
+ * @returns the cents as an exact decimal string, safe to embed in SQL
+ */
+const toDecimalString = (cents) => {
+  const sign = cents < 0 ? "-" : "";
+  const absolute = Math.abs(cents);
+  const fraction = String(absolute % 100).padStart(2, "0");
+  return `${sign}${Math.floor(absolute / 100)}.${fraction}`;
+};
+
+/**
+ * @returns a stored DECIMAL value normalised to a number, anything else (null, SQL literals) as is
+ */
+const normalise = (value) =>
+  typeof value === "number" || typeof value === "string"
+    ? fromCents(toCents(value))
+    : value;
+
+/**
+ * @returns a SQL expression atomically adding the (possibly negative) cents to a DECIMAL column,
+ * rounded so float based dialects (SQLite) don't accumulate drift
+ */
+const adjustColumn = (column, cents) =>
+  literal(`ROUND(${column} + ${toDecimalString(cents)}, 2)`);
+
+const sum = (values) =>
+  values.reduce((total, value) => total + toCents(value), 0);
+
+/**
+ * @returns `percent` of the cents, rounded down so an allowance is never exceeded
+ */
+const percentOf = (cents, percent) => Math.floor((cents * percent) / 100);
+
+/**
+ * Validates an amount received at the API boundary.
+ * @returns the amount in cents
+ * @throws {HttpError} 400 when the amount is negative, not a number or has more than two decimal places
+ */
+const parseAmount = (value, field = "amount") => {
+  const text =
+    typeof value === "number" && Number.isFinite(value)
+      ? String(value)
+      : typeof value === "string"
+      ? value.trim()
+      : null;
+
+  const match = text === null ? null : text.match(AMOUNT_PATTERN);
+
+  if (!match) {
+    throw new HttpError(
+      400,
+      "invalid_amount",
+      `${field} must be a non-negative number with at most two decimal places`,
+      { [field]: value === undefined ? null : value }
+    );
+  }
+
+  const [, whole, fraction = ""] = match;
+  return Number(whole) * 100 + Number(fraction.padEnd(2, "0"));
+};
+
+module.exports = {
+  toCents,
+  fromCents,
+  toDecimalString,
+  normalise,
+  adjustColumn,
+  sum,
+  percentOf,
+  parseAmount,
+};
@@ -0,0 +1,50 @@
+import { describe, it, expect } from "vitest";
+import {
+  toCents,
+  fromCents,
+  toDecimalString,
+  sum,
+  percentOf,
+  parseAmount,
+} from "./money";
+
+describe("money", () => {
+  it("it should convert numbers and decimal strings to cents", () => {
+    expect(toCents(231.11)).toBe(23111);
+    expect(toCents("231.11")).toBe(23111);
+    expect(toCents(0.29)).toBe(29);
+    expect(toCents(-1.3)).toBe(-130);
+  });
+
+  it("it should sum without float drift", () => {
+    expect(0.1 + 0.2).not.toBe(0.3);
+    expect(fromCents(sum([0.1, 0.2]))).toBe(0.3);
+    expect(fromCents(sum(["201.00", 121.5]))).toBe(322.5);
+  });
+
+  it("it should render cents as an exact decimal string", () => {
+    expect(toDecimalString(23111)).toBe("231.11");
+    expect(toDecimalString(5)).toBe("0.05");
+    expect(toDecimalString(-130)).toBe("-1.30");
+  });
+
+  it("it should round percentages down so allowances are never exceeded", () => {
+    expect(percentOf(40100, 25)).toBe(10025);
+    expect(percentOf(40101, 25)).toBe(10025);
+  });
+
+  it("it should parse valid amounts at the API boundary", () => {
+    expect(parseAmount(10)).toBe(1000);
+    expect(parseAmount(10.5)).toBe(1050);
+    expect(parseAmount("10.05")).toBe(1005);
+    expect(parseAmount(0)).toBe(0);
+  });
+
+  it("it should reject negative, malformed or over precise amounts", () => {
+    for (const value of [-1, 10.001, "1e3", "abc", null, undefined, NaN]) {
+      expect(() => parseAmount(value)).toThrowError(
+        expect.objectContaining({ status: 400, code: "invalid_amount" })
+      );
+    }
+  });
+});
@@ -0,0 +1,133 @@
+const { Op, DataTypes } = require("sequelize");
+const { rule, fail, integer, oneOf, date } = require("./validation");
+
+/**
+ * Cursor based pagination shared by every list route.
+ *
+ * Query conventions: `limit` (1-100, default 20), `cursor` (the `nextCursor` of the previous page),
+ * `sort` (a sortable field, `-` prefixed for descending) and `createdFrom`/`createdTo`.
+ * Responses are enveloped as `{ data, nextCursor, total }`, `nextCursor` is null on the last page.
+ */
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const encodeCursor = (cursor) =>
+  Buffer.from(JSON.stringify(cursor)).toString("base64url");
+
+const cursorRule = rule((value, field) => {
+  try {
+    const cursor = JSON.parse(Buffer.from(value, "base64url").toString());
+    if (typeof cursor.sort !== "string" || cursor.id === undefined)
+      throw new Error();
+    return cursor;
+  } catch (error) {
+    return fail(`${field} is not a valid cursor`);
+  }
+});
+
+/**
+ * @param {Object} options
+ * @param {string[]} options.sortable fields the list can be sorted by
+ * @param {string} options.defaultSort
+ * @param {Object} [options.filters] extra query rules for the route's own filters
+ * @returns a `validate` schema for a list route
+ */
+const listSchema = ({ sortable, defaultSort, filters = {} }) => ({
+  query: {
+    limit: integer({ min: 1, max: MAX_LIMIT, default: DEFAULT_LIMIT }),
+    cursor: cursorRule({ optional: true }),
+    sort: oneOf(
+      sortable.flatMap((field) => [field, `-${field}`]),
+      { default: defaultSort }
+    ),
+    createdFrom: date({ optional: true }),
+    createdTo: date({ optional: true }),
+    ...filters,
+  },
+  refine: ({ query }) => {
+    const errors = [];
+    if (
+      query.createdFrom &&
+      query.createdTo &&
+      query.createdFrom > query.createdTo
+    )
+      errors.push({
+        location: "query",
+        field: "createdFrom",
+        message: "createdFrom must not be after createdTo",
+      });
+    if (query.cursor && query.cursor.sort !== query.sort)
+      errors.push({
+        location: "query",
+        field: "cursor",
+        message: "cursor was issued for a different sort",
+      });
+    return errors;
+  },
+});
+
+/**
+ * @returns a `where` range for `[from, to]`, either end may be left open
+ */
+const range = (from, to) => {
+  const bounds = {};
+  if (from !== undefined) bounds[Op.gte] = from;
+  if (to !== undefined) bounds[Op.lte] = to;
+  return Object.getOwnPropertySymbols(bounds).length ? bounds : undefined;
+};
+
+/**
+ * Loads one page of `Model` matching `where` (and `include`), following the query validated by `listSchema`.
+ * Rows are ordered by the sort field with `id` as a tie breaker, so pages stay stable as rows are added.
+ */
+const paginate = async (Model, { where = {}, include, query }) => {
+  const { limit, cursor, sort, createdFrom, createdTo } = query;
+  const descending = sort.startsWith("-");
+  const field = descending ? sort.slice(1) : sort;
+  const direction = descending ? "DESC" : "ASC";
+  const after = descending ? Op.lt : Op.gt;
+
+  const filters = [where];
+  const createdAt = range(createdFrom, createdTo);
+  if (createdAt) filters.push({ createdAt });
+
+  const total = await Model.count({
+    where: { [Op.and]: filters },
+    include,
+    distinct: true,
+    col: "id",
+  });
+
+  if (cursor) {
+    const isDate = Model.rawAttributes[field].type instanceof DataTypes.DATE;
+    const value = isDate ? new Date(cursor.value) : cursor.value;
+    filters.push({
+      [Op.or]: [
+        { [field]: { [after]: value } },
+        { [field]: value, id: { [after]: cursor.id } },
+      ],
+    });
+  }
+
+  const rows = await Model.findAll({
+    where: { [Op.and]: filters },
+    include,
+    order: [
+      [field, direction],
+      ["id", direction],
+    ],
+    limit: limit + 1,
+  });
+
+  const data = rows.slice(0, limit);
+  const last = data[data.length - 1];
+  const nextCursor =
+    rows.length > limit
+      ? encodeCursor({ sort, value: last.get(field), id: last.id })
+      : null;
+
+  return { data, nextCursor, total };
+};
+
+module.exports = { listSchema, paginate, range, DEFAULT_LIMIT, MAX_LIMIT };
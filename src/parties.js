@@ -0,0 +1,17 @@
+const { Op } = require("sequelize");
+
+/**
+ * @returns a contract `where` matching contracts the profile is a party to (client or contractor),
+ * optionally only those with `counterpartyId` on the other side
+ */
+const partyOf = (profileId, counterpartyId) => ({
+  [Op.or]:
+    counterpartyId === undefined
+      ? [{ ClientId: profileId }, { ContractorId: profileId }]
+      : [
+          { ClientId: profileId, ContractorId: counterpartyId },
+          { ContractorId: profileId, ClientId: counterpartyId },
+        ],
+});
+
+module.exports = { partyOf };
@@ -0,0 +1,13 @@
+const { createStateMachine } = require("./stateMachine");
+
+/**
+ * The statuses a payout may move to from each status. A payout can only be cancelled while `pending`,
+ * once handed to the payout provider it is `processing` until the provider pays or fails it.
+ */
+module.exports = createStateMachine("payout", {
+  pending: ["processing", "cancelled"],
+  processing: ["paid", "failed"],
+  paid: [],
+  failed: [],
+  cancelled: [],
+});
@@ -0,0 +1,36 @@
+const crypto = require("crypto");
+
+/**
+ * A payout provider that keeps payouts in memory, for local development and tests.
+ * Changing the `status` (and `failureReason`) of one of its `payouts` settles it, handing over a payout
+ * again answers with the one it already has.
+ * @param {Object} [options]
+ * @param {string} [options.failWith] reject every payout with this reason
+ * @param {"paid"|"processing"} [options.status] the status payouts are accepted with
+ * @returns {import("./index").PayoutProvider & { payouts: Object[] }}
+ */
+const createFakeProvider = ({ failWith, status = "paid" } = {}) => {
+  const payouts = [];
+
+  return {
+    payouts,
+    async createPayout({ payoutId, profileId, amount }) {
+      if (failWith) throw new Error(failWith);
+
+      const handed = payouts.find((p) => p.payoutId === payoutId);
+      if (handed) return { reference: handed.reference, status: handed.status };
+
+      const reference = `fake_${crypto.randomUUID()}`;
+      payouts.push({ reference, payoutId, profileId, amount, status });
+      return { reference, status };
+    },
+    async getPayout(reference) {
+      const payout = payouts.find((p) => p.reference === reference);
+      if (!payout) throw new Error(`Unknown payout ${reference}`);
+
+      return { status: payout.status, failureReason: payout.failureReason };
+    },
+  };
+};
+
+module.exports = { createFakeProvider };
@@ -0,0 +1,309 @@
+const { Transaction } = require("sequelize");
+const { assertTransition } = require("../payoutStatus");
+const { recordTransfer } = require("../ledger");
+const { adjustBalance } = require("../accounts");
+const { HttpError } = require("../errors");
+const { recordAudit } = require("../audit");
+const { toCents, fromCents } = require("../money");
+
+/**
+ * Payouts take money out of a contractor's balance. The balance is debited as soon as the
+ * withdrawal is requested, `processPayouts` later hands pending payouts to the payout provider
+ * and settles the ones it is still processing.
+ *
+ * @typedef {Object} PayoutProvider
+ * @property {(payout: { payoutId: number, profileId: number, amount: number, currency: string }) => Promise<{ reference: string, status: "paid"|"processing" }>} createPayout
+ *   Sends the money to the contractor, resolving with the provider's reference once accepted.
+ *   Rejects when the provider refuses the payout, the withdrawal is then refunded.
+ *   Must be idempotent on `payoutId`: a payout left without a reference (eg: by a crash) is handed over again.
+ * @property {(reference: string) => Promise<{ status: "paid"|"processing"|"failed", failureReason?: string }>} getPayout
+ *   Looks up the status of a payout it accepted, a `failed` one is refunded.
+ */
+
+const IMMEDIATE = { type: Transaction.TYPES.IMMEDIATE };
+
+/**
+ * Moves the payout from the status it was read in to `to`, audited as `payout.<to>` for the `context` acting.
+ * @throws {HttpError} 409 when the transition isn't allowed or another request got there first
+ */
+const transition = async (payout, to, context, transaction, changes = {}) => {
+  const Payout = payout.constructor;
+  assertTransition(payout.status, to);
+
+  const [updated] = await Payout.update(
+    { ...changes, status: to },
+    { where: { id: payout.id, status: payout.status }, transaction }
+  );
+  if (updated !== 1)
+    throw new HttpError(
+      409,
+      "payout_changed",
+      "Payout was changed by another request"
+    );
+
+  await recordAudit(
+    context,
+    {
+      action: `payout.${to}`,
+      target: payout,
+      before: payout,
+      after: await Payout.findByPk(payout.id, { transaction }),
+    },
+    transaction
+  );
+};
+
+/**
+ * Gives the payout's amount back to the contractor, for cancelled and failed payouts.
+ */
+const refund = async (payout, to, context, transaction, changes = {}) => {
+  const { currency } = payout;
+  const cents = toCents(payout.amount);
+
+  await transition(payout, to, context, transaction, changes);
+  await adjustBalance(
+    { profileId: payout.ProfileId, currency, cents },
+    transaction
+  );
+  await recordTransfer(
+    {
+      type: "withdrawal_reversal",
+      fromProfileId: null,
+      toProfileId: payout.ProfileId,
+      cents,
+      currency,
+    },
+    transaction
+  );
+};
+
+/**
+ * Debits `cents` from the contractor's balance in `currency` into a new pending payout.
+ * @param {{ actorId: number, requestId: string }} context who is acting, see src/audit.js
+ * @throws {HttpError} 402 when the balance is too low
+ */
+const requestWithdrawal = async (
+  sequelize,
+  profileId,
+  cents,
+  currency,
+  context
+) => {
+  const { Payout } = sequelize.models;
+
+  return sequelize.transaction(IMMEDIATE, async (t) => {
+    const debited = await adjustBalance(
+      { profileId, currency, cents: -cents, requireFunds: true },
+      t
+    );
+    if (!debited)
+      throw new HttpError(
+        402,
+        "insufficient_balance",
+        "Balance is too low for this withdrawal"
+      );
+
+    await recordTransfer(
+      {
+        type: "withdrawal",
+        fromProfileId: profileId,
+        toProfileId: null,
+        cents,
+        currency,
+      },
+      t
+    );
+
+    const payout = await Payout.create(
+      { amount: fromCents(cents), currency, ProfileId: profileId },
+      { transaction: t }
+    );
+    await recordAudit(
+      context,
+      { action: "payout.request", target: payout, after: payout },
+      t
+    );
+    return payout;
+  });
+};
+
+/**
+ * Cancels the contractor's pending payout and refunds its amount.
+ * @throws {HttpError} 404 when the payout isn't the contractor's, 409 once it has been handed to the provider
+ */
+const cancelPayout = async (sequelize, profileId, payoutId, context) => {
+  const { Payout } = sequelize.models;
+
+  await sequelize.transaction(IMMEDIATE, async (t) => {
+    const payout = await Payout.findOne({
+      where: { id: payoutId, ProfileId: profileId },
+      lock: t.LOCK.UPDATE,
+      transaction: t,
+    });
+    if (!payout)
+      throw new HttpError(404, "payout_not_found", "Payout not found");
+
+    await refund(payout, "cancelled", context, t);
+  });
+
+  return Payout.findByPk(payoutId);
+};
+
+/**
+ * Records the provider's reference of a payout it accepted but is still processing.
+ * @throws {HttpError} 409 when the payout was settled or given a reference by another run
+ */
+const accept = async (payout, reference, context, transaction) => {
+  const Payout = payout.constructor;
+
+  const [updated] = await Payout.update(
+    { providerReference: reference },
+    {
+      where: { id: payout.id, status: "processing", providerReference: null },
+      transaction,
+    }
+  );
+  if (updated !== 1)
+    throw new HttpError(
+      409,
+      "payout_changed",
+      "Payout was changed by another request"
+    );
+
+  await recordAudit(
+    context,
+    {
+      action: "payout.accept",
+      target: payout,
+      before: payout,
+      after: await Payout.findByPk(payout.id, { transaction }),
+    },
+    transaction
+  );
+};
+
+/**
+ * Hands the claimed (`processing`) payout to the provider and records the outcome: `paid`, `failed` and
+ * refunded when refused, or its reference while the provider is still processing it.
+ * @returns the payout's status once handed over
+ */
+const handOver = async (sequelize, provider, payout, context) => {
+  let result;
+  try {
+    result = await provider.createPayout({
+      payoutId: payout.id,
+      profileId: payout.ProfileId,
+      amount: payout.amount,
+      currency: payout.currency,
+    });
+  } catch (error) {
+    await sequelize.transaction(IMMEDIATE, (t) =>
+      refund(payout, "failed", context, t, {
+        failureReason: String(error.message).slice(0, 255),
+      })
+    );
+    return "failed";
+  }
+
+  await sequelize.transaction(IMMEDIATE, (t) =>
+    result.status === "paid"
+      ? transition(payout, "paid", context, t, {
+          providerReference: result.reference,
+        })
+      : accept(payout, result.reference, context, t)
+  );
+  return result.status === "paid" ? "paid" : "processing";
+};
+
+/**
+ * Asks the provider about the payout it accepted and settles it once `paid` or `failed` (then refunded).
+ * Payouts it is still processing, or couldn't be asked about, are left for the next run.
+ * @returns the payout's status as far as the provider knows
+ */
+const settle = async (sequelize, provider, payout, context) => {
+  let result = { status: "processing" };
+  try {
+    result = await provider.getPayout(payout.providerReference);
+  } catch (error) {
+    // Asked again on the next run
+  }
+  if (result.status !== "paid" && result.status !== "failed")
+    return "processing";
+
+  await sequelize.transaction(IMMEDIATE, (t) =>
+    result.status === "paid"
+      ? transition(payout, "paid", context, t)
+      : refund(payout, "failed", context, t, {
+          failureReason: String(
+            result.failureReason || "Failed by the payout provider"
+          ).slice(0, 255),
+        })
+  );
+  return result.status;
+};
+
+/**
+ * Settles up to `limit` payouts the provider is processing, oldest first (see `settle`), then hands up
+ * to `limit` pending payouts to the provider, oldest first (see `handOver`).
+ * Each payout is claimed (`processing`) before the provider is called so it is never sent twice,
+ * one claimed but left without a reference (eg: by a crash) is handed over again.
+ * Status changes are audited for `context`, the system when left out.
+ * @param {PayoutProvider} provider
+ * @returns {Promise<{ paid: number, processing: number, failed: number }>}
+ */
+const processPayouts = async (
+  sequelize,
+  provider,
+  { limit = 50, context = { actorId: null, requestId: null } } = {}
+) => {
+  const { Payout } = sequelize.models;
+  const summary = { paid: 0, processing: 0, failed: 0 };
+
+  const processing = await Payout.findAll({
+    where: { status: "processing" },
+    order: [["id", "ASC"]],
+    limit,
+  });
+
+  for (const payout of processing) {
+    try {
+      const status = payout.providerReference
+        ? await settle(sequelize, provider, payout, context)
+        : await handOver(sequelize, provider, payout, context);
+      summary[status]++;
+    } catch (error) {
+      // Settled since it was read
+      if (!(error instanceof HttpError)) throw error;
+    }
+  }
+
+  const pending = await Payout.findAll({
+    where: { status: "pending" },
+    order: [["id", "ASC"]],
+    limit,
+  });
+
+  for (const payout of pending) {
+    try {
+      await sequelize.transaction(IMMEDIATE, (t) =>
+        transition(payout, "processing", context, t)
+      );
+    } catch (error) {
+      // Cancelled or claimed since it was read
+      if (error instanceof HttpError) continue;
+      throw error;
+    }
+    const claimed = await Payout.findByPk(payout.id);
+
+    try {
+      summary[await handOver(sequelize, provider, claimed, context)]++;
+    } catch (error) {
+      // Settled by another run meanwhile
+      if (!(error instanceof HttpError)) throw error;
+    }
+  }
+
+  return summary;
+};
+
+module.exports = { requestWithdrawal, cancelPayout, processPayouts };
@@ -0,0 +1,191 @@
+const { fromCents } = require("./money");
+
+/**
+ * Finance reports over job payments, aggregated in SQL per currency then converted into the
+ * reporting `currency` at the configured exchange rates (see src/currency.js).
+ * Payments, partial ones included, count on the day they were made and refunds are taken off on
+ * the day they were made, so a period shows the money that actually moved in it.
+ *
+ * Every report takes `{ start, end, limit, currency }` and resolves to plain rows,
+ * ready to be sent as JSON or CSV (see `toCsv`).
+ */
+
+// What the client paid for the job, less what was refunded, in cents
+const NET_PAID =
+  "ROUND(jobs.amountPaid * 100) - ROUND(jobs.amountRefunded * 100)";
+// The payments and, negated, the refunds made in the range, in cents of the job's currency
+const MOVEMENTS_IN_RANGE = `(
+          SELECT JobId, createdAt, ROUND(amount * 100) as cents FROM payments WHERE createdAt BETWEEN :start AND :end
+          UNION ALL
+          SELECT JobId, createdAt, -ROUND(amount * 100) as cents FROM refunds WHERE createdAt BETWEEN :start AND :end
+        ) as movements`;
+
+// Each period is named by its first day
+const BUCKETS = {
+  day: "date(movements.createdAt)",
+  week: "date(movements.createdAt, 'weekday 0', '-6 days')",
+  month: "strftime('%Y-%m-01', movements.createdAt)",
+};
+
+/**
+ * Converts `total`s (in cents) of rows grouped by `keys` and currency into `currency`, summing them per `keys`.
+ * @returns the rows per `keys`, in the order they were first seen, with `total` in cents
+ */
+const convertTotals = (fx, rows, keys, currency) => {
+  const totals = new Map();
+  for (const row of rows) {
+    const key = keys.map((name) => row[name]).join("\u0000");
+    const { cents } = fx.convert(row.total, row.currency, currency);
+    const entry = totals.get(key) || { ...row, total: 0 };
+    entry.total += cents;
+    totals.set(key, entry);
+  }
+  return [...totals.values()].map(({ currency, ...row }) => row);
+};
+
+const byTotalDescending = (a, b) => b.total - a.total;
+
+/**
+ * @returns what each contractor earned, highest first
+ */
+const contractorEarnings = async (
+  sequelize,
+  fx,
+  { start, end, limit, currency }
+) => {
+  const [results] = await sequelize.query(
+    `SELECT profiles.id as id, profiles.firstName || ' ' || profiles.lastName as fullName, profiles.profession as profession, contracts.currency as currency, SUM(movements.cents) as total 
+        FROM ${MOVEMENTS_IN_RANGE} 
+        INNER JOIN jobs ON movements.JobId = jobs.id 
+        INNER JOIN contracts ON jobs.ContractId = contracts.id 
+        INNER JOIN profiles ON contracts.ContractorId = profiles.id 
+        GROUP BY profiles.id, contracts.currency 
+        ORDER BY profiles.id ASC`,
+    { replacements: { start, end } }
+  );
+
+  return convertTotals(fx, results, ["id"], currency)
+    .sort(byTotalDescending)
+    .slice(0, limit)
+    .map(({ total, ...row }) => ({ ...row, earned: fromCents(total) }));
+};
+
+/**
+ * @returns what each client spent, highest first
+ */
+const clientSpend = async (sequelize, fx, { start, end, limit, currency }) => {
+  const [results] = await sequelize.query(
+    `SELECT profiles.id as id, profiles.firstName || ' ' || profiles.lastName as fullName, contracts.currency as currency, SUM(movements.cents) as total 
+        FROM ${MOVEMENTS_IN_RANGE} 
+        INNER JOIN jobs ON movements.JobId = jobs.id 
+        INNER JOIN contracts ON jobs.ContractId = contracts.id 
+        INNER JOIN profiles ON contracts.ClientId = profiles.id 
+        GROUP BY profiles.id, contracts.currency 
+        ORDER BY profiles.id ASC`,
+    { replacements: { start, end } }
+  );
+
+  return convertTotals(fx, results, ["id"], currency)
+    .sort(byTotalDescending)
+    .slice(0, limit)
+    .map(({ total, ...row }) => ({ ...row, spent: fromCents(total) }));
+};
+
+/**
+ * @returns the revenue per profession, per `bucket` (`day`, `week` or `month`) oldest first when given,
+ * highest revenue first within a period
+ */
+const professionRevenue = async (
+  sequelize,
+  fx,
+  { start, end, limit, currency, bucket }
+) => {
+  const period = bucket ? `${BUCKETS[bucket]} as period, ` : "";
+  const [results] = await sequelize.query(
+    `SELECT ${period}profiles.profession as profession, contracts.currency as currency, SUM(movements.cents) as total 
+        FROM ${MOVEMENTS_IN_RANGE} 
+        INNER JOIN jobs ON movements.JobId = jobs.id 
+        INNER JOIN contracts ON jobs.ContractId = contracts.id 
+        INNER JOIN profiles ON contracts.ContractorId = profiles.id 
+        GROUP BY ${
+          bucket ? "period, " : ""
+        }profiles.profession, contracts.currency 
+        ORDER BY ${bucket ? "period ASC, " : ""}profiles.profession ASC`,
+    { replacements: { start, end } }
+  );
+
+  return convertTotals(
+    fx,
+    results,
+    bucket ? ["period", "profession"] : ["profession"],
+    currency
+  )
+    .sort((a, b) =>
+      bucket && a.period !== b.period
+        ? a.period.localeCompare(b.period)
+        : byTotalDescending(a, b)
+    )
+    .slice(0, limit)
+    .map(({ total, ...row }) => ({ ...row, revenue: fromCents(total) }));
+};
+
+/**
+ * @returns what each client still owes on the unpaid jobs of their active contracts, logged in the range, highest first
+ */
+const outstandingLiabilities = async (
+  sequelize,
+  fx,
+  { start, end, limit, currency }
+) => {
+  const [results] = await sequelize.query(
+    `SELECT profiles.id as id, profiles.firstName || ' ' || profiles.lastName as fullName, contracts.currency as currency, COUNT(jobs.id) as jobs, SUM(ROUND(jobs.price * 100) - (${NET_PAID})) as total 
+        FROM jobs 
+        INNER JOIN contracts ON jobs.ContractId = contracts.id 
+        INNER JOIN profiles ON contracts.ClientId = profiles.id 
+        WHERE jobs.paid IS NOT true AND contracts.status = 'in_progress' AND jobs.createdAt BETWEEN :start AND :end 
+        GROUP BY profiles.id, contracts.currency 
+        ORDER BY profiles.id ASC`,
+    { replacements: { start, end } }
+  );
+
+  const jobs = new Map();
+  for (const { id, jobs: count } of results)
+    jobs.set(id, (jobs.get(id) || 0) + count);
+
+  return convertTotals(fx, results, ["id"], currency)
+    .sort(byTotalDescending)
+    .slice(0, limit)
+    .map(({ total, id, fullName }) => ({
+      id,
+      fullName,
+      jobs: jobs.get(id),
+      outstanding: fromCents(total),
+    }));
+};
+
+/**
+ * @returns the rows as CSV, with a header line of `columns`. Text that a spreadsheet would run as a
+ * formula (starting with `=`, `+`, `-`, `@`, a tab or a carriage return) is prefixed with `'`, numbers are left as is.
+ */
+const toCsv = (rows, columns) => {
+  const escape = (value) => {
+    let text = value === null || value === undefined ? "" : String(value);
+    if (typeof value === "string" && /^[=+\-@\t\r]/.test(text))
+      text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((line) => line.map(escape).join(","))
+    .join("\r\n")
+    .concat("\r\n");
+};
+
+module.exports = {
+  BUCKETS,
+  contractorEarnings,
+  clientSpend,
+  professionRevenue,
+  outstandingLiabilities,
+  toCsv,
+};
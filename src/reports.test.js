@@ -0,0 +1,42 @@
+import { describe, it, expect } from "vitest";
+import { toCsv } from "./reports";
+
+describe("reports", () => {
+  it("it should quote CSV fields holding separators, quotes or line breaks", () => {
+    const csv = toCsv(
+      [
+        { id: 1, fullName: 'Dwayne "The Rock" Johnson', note: "a,b" },
+        { id: 2, fullName: "Plain", note: null },
+      ],
+      ["id", "fullName", "note"]
+    );
+
+    expect(csv).toBe(
+      "id,fullName,note\r\n" +
+        '1,"Dwayne ""The Rock"" Johnson","a,b"\r\n' +
+        "2,Plain,\r\n"
+    );
+  });
+
+  it("it should keep spreadsheets from running fields as formulas", () => {
+    const csv = toCsv(
+      [
+        { fullName: '=HYPERLINK("http://evil")', profession: "+1", total: -5 },
+        { fullName: "@SUM(A1)", profession: "\tTab", total: 5 },
+        { fullName: "-Minus", profession: "\rReturn", total: 0 },
+      ],
+      ["fullName", "profession", "total"]
+    );
+
+    expect(csv).toBe(
+      "fullName,profession,total\r\n" +
+        `"'=HYPERLINK(""http://evil"")",'+1,-5\r\n` +
+        "'@SUM(A1),'\tTab,5\r\n" +
+        `'-Minus,"'\rReturn",0\r\n`
+    );
+  });
+
+  it("it should still send the header of an empty report", () => {
+    expect(toCsv([], ["id", "spent"])).toBe("id,spent\r\n");
+  });
+});
@@ -0,0 +1,190 @@
+const express = require("express");
+const { Transaction } = require("sequelize");
+const { getProfile } = require("../middleware/getProfile");
+const { requireRole, requireSelfOrRole } = require("../middleware/requireRole");
+const { idempotency } = require("../middleware/idempotency");
+const { recordTransfer } = require("../ledger");
+const { adjustBalance, balancesOf } = require("../accounts");
+const { DEFAULT_CURRENCY } = require("../currency");
+const { requestWithdrawal } = require("../payouts");
+const { HttpError } = require("../errors");
+const { auditContext, recordAudit } = require("../audit");
+const { emitEvent } = require("../webhooks");
+const { present } = require("../depositPolicy");
+const { toCents, fromCents } = require("../money");
+const { validate, integer, amount, currency } = require("../validation");
+const { asyncHandler } = require("../middleware/asyncHandler");
+
+const router = express.Router();
+
+/**
+ * @returns Deposits money into the the the balance of a client, within the limits of the deposit policy for the client's tier.
+ * A refused deposit answers 403 with the reason of the first rule refusing it.
+ * Deposits are in the default currency unless another `currency` is given, the client then holds a balance in it.
+ */
+router.post(
+  "/deposit/:userId",
+  getProfile,
+  requireRole("client", "admin"),
+  requireSelfOrRole("userId", "admin"),
+  validate({
+    params: { userId: integer({ min: 1 }) },
+    body: {
+      amount: amount(),
+      currency: currency({ default: DEFAULT_CURRENCY }),
+    },
+  }),
+  idempotency,
+  asyncHandler(async (req, res, next) => {
+    const sequelize = req.app.get("sequelize");
+    const { Profile } = req.app.get("models");
+    const { userId } = req.params;
+    const { currency } = req.body;
+
+    try {
+      const amount = toCents(req.body.amount);
+      if (amount === 0) return res.status(204).end(); //no content
+
+      // The allowance is computed and spent under the same write lock as the payments
+      await sequelize.transaction(
+        {
+          type: Transaction.TYPES.IMMEDIATE,
+          isolationLevel: Transaction.ISOLATION_LEVELS.SERIALIZABLE,
+        },
+        async (t) => {
+          const client = await Profile.findOne({
+            where: { id: userId, type: "client" },
+            lock: t.LOCK.UPDATE,
+            transaction: t,
+          });
+
+          if (!client)
+            throw new HttpError(404, "client_not_found", "Client not found");
+
+          const rejection = await req.app
+            .get("depositPolicy")
+            .check(client, amount, { transaction: t, currency });
+
+          if (rejection) {
+            throw new HttpError(403, rejection.reason, rejection.message, {
+              rule: rejection.rule,
+              allowance: fromCents(rejection.allowance),
+            });
+          }
+
+          await adjustBalance(
+            { profileId: client.id, currency, cents: amount },
+            t
+          );
+
+          await recordTransfer(
+            {
+              type: "deposit",
+              fromProfileId: null,
+              toProfileId: client.id,
+              cents: amount,
+              currency,
+            },
+            t
+          );
+
+          await recordAudit(
+            auditContext(req),
+            {
+              action: "balance.deposit",
+              target: client,
+              before: client,
+              after: await Profile.findByPk(client.id, { transaction: t }),
+            },
+            t
+          );
+
+          await emitEvent(
+            "balance.deposited",
+            { profileId: client.id, amount: fromCents(amount), currency },
+            t
+          );
+        }
+      );
+    } catch (error) {
+      return next(error);
+    }
+
+    // Refresh the balance of the client
+    const newClient = await Profile.findOne({
+      where: { id: userId, type: "client" },
+    });
+
+    res.json({ ...newClient.toJSON(), balances: await balancesOf(newClient) });
+  })
+);
+
+/**
+ * @returns how much the client may deposit right now in `currency`, the rule limiting it and what every rule allows
+ */
+router.get(
+  "/deposit/:userId/allowance",
+  getProfile,
+  requireRole("client", "admin"),
+  requireSelfOrRole("userId", "admin"),
+  validate({
+    params: { userId: integer({ min: 1 }) },
+    query: { currency: currency({ default: DEFAULT_CURRENCY }) },
+  }),
+  async (req, res, next) => {
+    const { Profile } = req.app.get("models");
+    const { currency } = req.query;
+
+    try {
+      const client = await Profile.findOne({
+        where: { id: req.params.userId, type: "client" },
+      });
+
+      if (!client)
+        throw new HttpError(404, "client_not_found", "Client not found");
+
+      const evaluation = await req.app
+        .get("depositPolicy")
+        .evaluate(client, { currency });
+
+      res.json({ clientId: client.id, currency, ...present(evaluation) });
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * @returns the pending payout, withdrawing `amount` from the calling contractor's balance straight away.
+ * The payout is handed to the payout provider later on and can be cancelled until then.
+ * Withdraws from the balance in `currency`, the default currency unless given.
+ */
+router.post(
+  "/withdraw",
+  getProfile,
+  requireRole("contractor"),
+  validate({
+    body: {
+      amount: amount({ positive: true }),
+      currency: currency({ default: DEFAULT_CURRENCY }),
+    },
+  }),
+  idempotency,
+  async (req, res, next) => {
+    try {
+      const payout = await requestWithdrawal(
+        req.app.get("sequelize"),
+        req.profile.id,
+        toCents(req.body.amount),
+        req.body.currency,
+        auditContext(req)
+      );
+
+      res.status(201).json(payout);
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,561 @@
+const express = require("express");
+const { Op, Transaction } = require("sequelize");
+const { getProfile } = require("../middleware/getProfile");
+const { requireRole } = require("../middleware/requireRole");
+const { assertTransition } = require("../contractStatus");
+const { HttpError } = require("../errors");
+const { auditContext, recordAudit } = require("../audit");
+const { emitEvent } = require("../webhooks");
+const { idempotency } = require("../middleware/idempotency");
+const { fundEscrow, releaseEscrow } = require("../escrow");
+const { toCents, fromCents } = require("../money");
+const { INTERVALS } = require("../billing/schedule");
+const {
+  validate,
+  string,
+  integer,
+  boolean,
+  oneOf,
+  amount,
+  currency,
+  date,
+} = require("../validation");
+const { DEFAULT_CURRENCY } = require("../currency");
+const { listSchema, paginate } = require("../pagination");
+const { partyOf } = require("../parties");
+const { asyncHandler } = require("../middleware/asyncHandler");
+
+const contractParams = { params: { id: integer({ min: 1 }) } };
+
+const router = express.Router();
+
+/**
+ * Runs `fn` with the contract locked for writing, only if the calling profile may see it.
+ * When given, `action` is audited with the contract as it was before and after `fn`.
+ * @returns the contract as it is after `fn`
+ */
+const withContract = async (req, action, fn) => {
+  const sequelize = req.app.get("sequelize");
+  const { Contract } = req.app.get("models");
+  const { id } = req.params;
+  const isAdmin = req.profile.type === "admin";
+
+  await sequelize.transaction(
+    { type: Transaction.TYPES.IMMEDIATE },
+    async (t) => {
+      const contract = await Contract.findOne({
+        where: {
+          id,
+          ...(isAdmin
+            ? {}
+            : {
+                [Op.or]: [
+                  { ClientId: req.profile.id },
+                  { ContractorId: req.profile.id },
+                ],
+              }),
+        },
+        lock: t.LOCK.UPDATE,
+        transaction: t,
+      });
+
+      if (!contract)
+        throw new HttpError(404, "contract_not_found", "Contract not found");
+
+      await fn(contract, t);
+
+      if (action)
+        await recordAudit(
+          auditContext(req),
+          {
+            action,
+            target: contract,
+            before: contract,
+            after: await Contract.findByPk(id, { transaction: t }),
+          },
+          t
+        );
+    }
+  );
+
+  return Contract.findByPk(id);
+};
+
+/**
+ * Moves the contract to `to`, only if it is still in the status it was read in.
+ */
+const transition = async (contract, to, transaction) => {
+  const Contract = contract.constructor;
+  assertTransition(contract.status, to);
+
+  const [updated] = await Contract.update(
+    { status: to },
+    { where: { id: contract.id, status: contract.status }, transaction }
+  );
+  if (updated !== 1)
+    throw new HttpError(
+      409,
+      "contract_changed",
+      "Contract was changed by another request"
+    );
+};
+
+/**
+ * @returns contract by id
+ */
+router.get(
+  "/:id",
+  getProfile,
+  validate(contractParams),
+  asyncHandler(async (req, res, next) => {
+    const { Contract } = req.app.get("models");
+    const { id } = req.params;
+    const contract = await Contract.findOne({
+      where: {
+        id,
+        [Op.or]: [
+          { ClientId: req.profile.id },
+          { ContractorId: req.profile.id },
+        ],
+      },
+    });
+    if (!contract)
+      return next(
+        new HttpError(404, "contract_not_found", "Contract not found")
+      );
+    res.json(contract);
+  })
+);
+/**
+ * @returns Returns a list of contracts belonging to a user (client or contractor),
+ * the list should only contain non terminated contracts.
+ * Paginated and filtered following src/pagination.js, plus `status` and `counterpartyId` (the other party's profile id).
+ */
+router.get(
+  "/",
+  getProfile,
+  validate(
+    listSchema({
+      sortable: ["id", "createdAt", "updatedAt"],
+      defaultSort: "id",
+      filters: {
+        status: oneOf(["new", "in_progress"], { optional: true }),
+        counterpartyId: integer({ min: 1, optional: true }),
+      },
+    })
+  ),
+  asyncHandler(async (req, res) => {
+    const { Contract } = req.app.get("models");
+    const { status, counterpartyId } = req.query;
+
+    const page = await paginate(Contract, {
+      where: {
+        ...partyOf(req.profile.id, counterpartyId),
+        status: status || {
+          [Op.not]: "terminated",
+        },
+      },
+      query: req.query,
+    });
+    res.json(page);
+  })
+);
+
+/**
+ * @returns the new contract, proposed by the calling client to the contractor in `ContractorId`.
+ * Its jobs are priced in `currency`, the default currency unless given.
+ */
+router.post(
+  "/",
+  getProfile,
+  requireRole("client"),
+  validate({
+    body: {
+      ContractorId: integer({ min: 1 }),
+      terms: string(),
+      currency: currency({ default: DEFAULT_CURRENCY }),
+    },
+  }),
+  async (req, res, next) => {
+    const { Contract, Profile } = req.app.get("models");
+    const { ContractorId, terms, currency } = req.body;
+
+    try {
+      const contractor = await Profile.findOne({
+        where: { id: ContractorId, type: "contractor" },
+      });
+      if (!contractor)
+        throw new HttpError(
+          404,
+          "contractor_not_found",
+          "Contractor not found",
+          {
+            ContractorId,
+          }
+        );
+
+      const contract = await req.app.get("sequelize").transaction(async (t) => {
+        const contract = await Contract.create(
+          {
+            terms,
+            currency,
+            status: "new",
+            ClientId: req.profile.id,
+            ContractorId: contractor.id,
+          },
+          { transaction: t }
+        );
+        await recordAudit(
+          auditContext(req),
+          { action: "contract.create", target: contract, after: contract },
+          t
+        );
+        await emitEvent(
+          "contract.created",
+          {
+            contractId: contract.id,
+            ClientId: contract.ClientId,
+            ContractorId: contract.ContractorId,
+            currency: contract.currency,
+          },
+          t
+        );
+        return contract;
+      });
+
+      res.status(201).json(contract);
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * @returns the contract, started by the contractor accepting the client's proposal
+ */
+router.post(
+  "/:id/accept",
+  getProfile,
+  requireRole("contractor"),
+  validate(contractParams),
+  async (req, res, next) => {
+    try {
+      const contract = await withContract(
+        req,
+        "contract.accept",
+        async (contract, t) => {
+          if (contract.ContractorId !== req.profile.id)
+            throw new HttpError(
+              403,
+              "not_contractor",
+              "Only the contractor can accept a contract"
+            );
+
+          await transition(contract, "in_progress", t);
+          await emitEvent("contract.accepted", { contractId: contract.id }, t);
+        }
+      );
+
+      res.json(contract);
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * @returns the contract, its escrow funded with `amount` (in the contract's currency) from the client's balance.
+ * Terminated contracts can't be funded.
+ */
+router.post(
+  "/:id/fund",
+  getProfile,
+  requireRole("client"),
+  validate({ ...contractParams, body: { amount: amount({ positive: true }) } }),
+  idempotency,
+  async (req, res, next) => {
+    try {
+      const contract = await withContract(
+        req,
+        "contract.fund",
+        async (contract, t) => {
+          if (contract.ClientId !== req.profile.id)
+            throw new HttpError(
+              403,
+              "not_client",
+              "Only the client can fund a contract"
+            );
+          if (contract.status === "terminated")
+            throw new HttpError(
+              409,
+              "contract_not_active",
+              "Terminated contracts can't be funded",
+              { status: contract.status }
+            );
+
+          await fundEscrow(contract, toCents(req.body.amount), t);
+          await emitEvent(
+            "contract.funded",
+            {
+              contractId: contract.id,
+              amount: req.body.amount,
+              currency: contract.currency,
+            },
+            t
+          );
+        }
+      );
+
+      res.json(contract);
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * @returns the terminated contract, refused while jobs are unpaid unless `force` is set in the body.
+ * Whatever is left in its escrow goes back to the client.
+ */
+router.post(
+  "/:id/terminate",
+  getProfile,
+  validate({ ...contractParams, body: { force: boolean({ default: false }) } }),
+  async (req, res, next) => {
+    const { Job } = req.app.get("models");
+    const { force } = req.body;
+
+    try {
+      const contract = await withContract(
+        req,
+        "contract.terminate",
+        async (contract, t) => {
+          assertTransition(contract.status, "terminated");
+
+          const unpaidJobs = await Job.count({
+            where: { ContractId: contract.id, paid: { [Op.not]: true } },
+            transaction: t,
+          });
+          if (unpaidJobs > 0 && !force)
+            throw new HttpError(
+              409,
+              "unpaid_jobs",
+              "Contract has unpaid jobs, pass force to terminate anyway",
+              { unpaidJobs }
+            );
+
+          await transition(contract, "terminated", t);
+          const escrowReturned = await releaseEscrow(contract, t);
+          await emitEvent(
+            "contract.terminated",
+            {
+              contractId: contract.id,
+              unpaidJobs,
+              escrowReturned: fromCents(escrowReturned),
+            },
+            t
+          );
+        }
+      );
+
+      res.json(contract);
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * @throws {HttpError} 403 unless the calling profile is the contract's client
+ */
+const assertClient = (req, contract, message) => {
+  if (contract.ClientId !== req.profile.id)
+    throw new HttpError(403, "not_client", message);
+};
+
+/**
+ * @returns the contract, billed `amount` every `interval` (`week` or `month`) from `startAt` (default now) by the scheduler,
+ * see src/billing/index.js. With `autoPay` the billed jobs are paid straight away.
+ * Replaces any previous schedule.
+ */
+router.put(
+  "/:id/billing",
+  getProfile,
+  requireRole("client"),
+  validate({
+    ...contractParams,
+    body: {
+      interval: oneOf(INTERVALS),
+      amount: amount({ positive: true }),
+      autoPay: boolean({ default: false }),
+      startAt: date({ optional: true }),
+    },
+  }),
+  async (req, res, next) => {
+    const { interval, amount, autoPay } = req.body;
+    const startAt = req.body.startAt || req.app.get("clock")();
+
+    try {
+      const contract = await withContract(
+        req,
+        "contract.billing",
+        async (contract, t) => {
+          assertClient(req, contract, "Only the client can schedule billing");
+          if (contract.status === "terminated")
+            throw new HttpError(
+              409,
+              "contract_not_active",
+              "Terminated contracts can't be billed",
+              { status: contract.status }
+            );
+
+          await contract.update(
+            {
+              billingInterval: interval,
+              billingAmount: amount,
+              billingAutoPay: autoPay,
+              billingStartAt: startAt,
+              nextBillingAt: startAt,
+            },
+            { transaction: t }
+          );
+        }
+      );
+
+      res.json(contract);
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * @returns the contract, no longer billed by the scheduler
+ */
+router.delete(
+  "/:id/billing",
+  getProfile,
+  requireRole("client"),
+  validate(contractParams),
+  async (req, res, next) => {
+    try {
+      const contract = await withContract(
+        req,
+        "contract.billing",
+        async (contract, t) => {
+          assertClient(req, contract, "Only the client can stop billing");
+
+          await contract.update(
+            {
+              billingInterval: null,
+              billingAmount: null,
+              billingAutoPay: false,
+              billingStartAt: null,
+              nextBillingAt: null,
+            },
+            { transaction: t }
+          );
+        }
+      );
+
+      res.json(contract);
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * @returns the periods billed on the contract, newest first, `skipped` ones couldn't be paid automatically.
+ * Paginated and filtered following src/pagination.js, plus `status`.
+ */
+router.get(
+  "/:id/billing-cycles",
+  getProfile,
+  validate({
+    ...contractParams,
+    ...listSchema({
+      sortable: ["id", "periodStart"],
+      defaultSort: "-id",
+      filters: {
+        status: oneOf(["billed", "paid", "skipped"], { optional: true }),
+      },
+    }),
+  }),
+  asyncHandler(async (req, res, next) => {
+    const { Contract, BillingCycle } = req.app.get("models");
+    const { id } = req.params;
+    const { status } = req.query;
+
+    const contract = await Contract.findOne({
+      where: { id, ...partyOf(req.profile.id) },
+    });
+    if (!contract)
+      return next(
+        new HttpError(404, "contract_not_found", "Contract not found")
+      );
+
+    const page = await paginate(BillingCycle, {
+      where: { ContractId: contract.id, ...(status && { status }) },
+      query: req.query,
+    });
+    res.json(page);
+  })
+);
+
+/**
+ * @returns the new draft job, logged by the contractor against one of their active contracts
+ */
+router.post(
+  "/:id/jobs",
+  getProfile,
+  requireRole("contractor"),
+  validate({
+    ...contractParams,
+    body: { description: string(), price: amount({ positive: true }) },
+  }),
+  async (req, res, next) => {
+    const { Job } = req.app.get("models");
+    const { description, price } = req.body;
+
+    try {
+      let job;
+      await withContract(req, null, async (contract, t) => {
+        if (contract.ContractorId !== req.profile.id)
+          throw new HttpError(
+            403,
+            "not_contractor",
+            "Only the contractor can log jobs"
+          );
+        if (contract.status !== "in_progress")
+          throw new HttpError(
+            409,
+            "contract_not_active",
+            "Jobs can only be logged on in progress contracts",
+            { status: contract.status }
+          );
+
+        job = await Job.create(
+          {
+            description,
+            price,
+            status: "draft",
+            ContractId: contract.id,
+          },
+          { transaction: t }
+        );
+        await recordAudit(
+          auditContext(req),
+          { action: "job.create", target: job, after: job },
+          t
+        );
+      });
+
+      res.status(201).json(job);
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,313 @@
+const express = require("express");
+const { Transaction } = require("sequelize");
+const { getProfile } = require("../middleware/getProfile");
+const { requireRole } = require("../middleware/requireRole");
+const { idempotency } = require("../middleware/idempotency");
+const { assertTransition } = require("../disputeStatus");
+const { contractorShare, settleJob } = require("../disputes");
+const { HttpError } = require("../errors");
+const { auditContext, recordAudit } = require("../audit");
+const { emitEvent } = require("../webhooks");
+const { fromCents } = require("../money");
+const {
+  validate,
+  string,
+  integer,
+  boolean,
+  oneOf,
+  amount,
+} = require("../validation");
+const { listSchema, paginate } = require("../pagination");
+const { partyOf } = require("../parties");
+const { asyncHandler } = require("../middleware/asyncHandler");
+
+/**
+ * Disputes are opened on a job (`POST /jobs/:id/disputes`), everything else happens here.
+ * The parties of the job's contract see its disputes, admins see every dispute and resolve them.
+ */
+const router = express.Router();
+
+const disputeParams = { params: { id: integer({ min: 1 }) } };
+
+/**
+ * @returns the `include` of a dispute's job and contract, limited to the calling profile's contracts unless an admin
+ */
+const jobOf = (req) => {
+  const { Job, Contract } = req.app.get("models");
+
+  return {
+    model: Job,
+    required: true,
+    include: {
+      model: Contract,
+      as: "Contract",
+      required: true,
+      where: req.profile.type === "admin" ? {} : partyOf(req.profile.id),
+    },
+  };
+};
+
+/**
+ * @returns the dispute by id (with its job and contract), if the calling profile may see it
+ * @throws {HttpError} 404 otherwise
+ */
+const findDispute = async (req, options = {}) => {
+  const { Dispute } = req.app.get("models");
+  const dispute = await Dispute.findOne({
+    include: jobOf(req),
+    where: { id: req.params.id },
+    ...options,
+  });
+  if (!dispute)
+    throw new HttpError(404, "dispute_not_found", "Dispute not found");
+  return dispute;
+};
+
+/**
+ * @returns the disputes on the calling profile's jobs (every dispute for admins), newest first.
+ * Paginated and filtered following src/pagination.js, plus `status` and `jobId`.
+ */
+router.get(
+  "/",
+  getProfile,
+  validate(
+    listSchema({
+      sortable: ["id", "createdAt"],
+      defaultSort: "-id",
+      filters: {
+        status: oneOf(["open", "resolved"], { optional: true }),
+        jobId: integer({ min: 1, optional: true }),
+      },
+    })
+  ),
+  asyncHandler(async (req, res) => {
+    const { Dispute } = req.app.get("models");
+    const { status, jobId } = req.query;
+
+    const page = await paginate(Dispute, {
+      include: jobOf(req),
+      where: {
+        ...(status && { status }),
+        ...(jobId && { JobId: jobId }),
+      },
+      query: req.query,
+    });
+
+    res.json(page);
+  })
+);
+
+/**
+ * @returns the dispute by id, with its job and contract
+ */
+router.get(
+  "/:id",
+  getProfile,
+  validate(disputeParams),
+  async (req, res, next) => {
+    try {
+      res.json(await findDispute(req));
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * @returns the messages of the dispute, oldest first.
+ * Paginated following src/pagination.js.
+ */
+router.get(
+  "/:id/messages",
+  getProfile,
+  validate({
+    ...disputeParams,
+    ...listSchema({ sortable: ["id", "createdAt"], defaultSort: "id" }),
+  }),
+  async (req, res, next) => {
+    const { DisputeMessage } = req.app.get("models");
+
+    try {
+      const dispute = await findDispute(req);
+      const page = await paginate(DisputeMessage, {
+        where: { DisputeId: dispute.id },
+        query: req.query,
+      });
+
+      res.json(page);
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * @returns the new message, posted on an open dispute by either party or an admin
+ */
+router.post(
+  "/:id/messages",
+  getProfile,
+  validate({ ...disputeParams, body: { body: string({ maxLength: 5000 }) } }),
+  async (req, res, next) => {
+    const sequelize = req.app.get("sequelize");
+    const { DisputeMessage } = req.app.get("models");
+
+    try {
+      const message = await sequelize.transaction(async (t) => {
+        const dispute = await findDispute(req, { transaction: t });
+        if (dispute.status !== "open")
+          throw new HttpError(
+            409,
+            "dispute_resolved",
+            "Resolved disputes can't take new messages"
+          );
+
+        const message = await DisputeMessage.create(
+          {
+            body: req.body.body,
+            DisputeId: dispute.id,
+            AuthorId: req.profile.id,
+          },
+          { transaction: t }
+        );
+        await recordAudit(
+          auditContext(req),
+          { action: "dispute.message", target: message, after: message },
+          t
+        );
+        return message;
+      });
+
+      res.status(201).json(message);
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * @returns the dispute, resolved by an admin who settles its job as a `pay`, a `refund` or a `split`
+ * leaving the contractor `amount` of the price, see src/disputes.js.
+ * `force` lets the contractor's balance go negative for what they have to give back.
+ */
+router.post(
+  "/:id/resolve",
+  getProfile,
+  requireRole("admin"),
+  validate({
+    ...disputeParams,
+    body: {
+      resolution: oneOf(["pay", "refund", "split"]),
+      amount: amount({ positive: true, optional: true }),
+      note: string({ maxLength: 1000, optional: true }),
+      force: boolean({ default: false }),
+    },
+    refine: ({ body }) =>
+      (body.resolution === "split") === (body.amount === undefined)
+        ? [
+            {
+              location: "body",
+              field: "amount",
+              message: "amount is required for a split, and only for a split",
+            },
+          ]
+        : [],
+  }),
+  idempotency,
+  async (req, res, next) => {
+    const sequelize = req.app.get("sequelize");
+    const { Dispute, Job } = req.app.get("models");
+    const { resolution, amount, note, force } = req.body;
+
+    try {
+      await sequelize.transaction(
+        { type: Transaction.TYPES.IMMEDIATE },
+        async (t) => {
+          const dispute = await findDispute(req, {
+            lock: t.LOCK.UPDATE,
+            transaction: t,
+          });
+          assertTransition(dispute.status, "resolved");
+
+          const { Job: job } = dispute;
+          const share = contractorShare(job, resolution, amount);
+          const { paid, refunded } = await settleJob(
+            {
+              job,
+              share,
+              dispute,
+              profileId: req.profile.id,
+              force,
+              fx: req.app.get("fxRates"),
+            },
+            t
+          );
+
+          //Close the dispute, only if nobody resolved it in the meantime
+          const [updated] = await Dispute.update(
+            {
+              status: "resolved",
+              resolution,
+              contractorAmount: fromCents(share),
+              note,
+              resolvedAt: new Date(),
+              ResolvedById: req.profile.id,
+            },
+            {
+              where: { id: dispute.id, status: dispute.status },
+              transaction: t,
+            }
+          );
+          if (updated !== 1)
+            throw new HttpError(
+              409,
+              "dispute_changed",
+              "Dispute was changed by another request"
+            );
+
+          const context = auditContext(req);
+          await recordAudit(
+            context,
+            {
+              action: "dispute.resolve",
+              target: dispute,
+              before: dispute,
+              after: await Dispute.findByPk(dispute.id, { transaction: t }),
+            },
+            t
+          );
+          await recordAudit(
+            context,
+            {
+              action: "job.resolve",
+              target: job,
+              before: job,
+              after: await Job.findByPk(job.id, { transaction: t }),
+            },
+            t
+          );
+
+          await emitEvent(
+            "dispute.resolved",
+            {
+              disputeId: dispute.id,
+              jobId: job.id,
+              resolution,
+              contractorAmount: fromCents(share),
+              paid: fromCents(paid),
+              refunded: fromCents(refunded),
+              currency: job.Contract.currency,
+            },
+            t
+          );
+        }
+      );
+
+      res.json(await findDispute(req));
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,75 @@
+const express = require("express");
+const { getProfile } = require("../middleware/getProfile");
+const { HttpError } = require("../errors");
+const { validate, integer } = require("../validation");
+const { listSchema, paginate } = require("../pagination");
+const { partyOf } = require("../parties");
+const { renderHtml, renderPdf } = require("../invoices/render");
+const { asyncHandler } = require("../middleware/asyncHandler");
+
+const router = express.Router();
+
+/**
+ * @returns the invoices the calling profile issued (contractor) or received (client), newest first.
+ * Paginated and filtered following src/pagination.js, plus `jobId`.
+ */
+router.get(
+  "/",
+  getProfile,
+  validate(
+    listSchema({
+      sortable: ["id", "issuedAt"],
+      defaultSort: "-id",
+      filters: { jobId: integer({ min: 1, optional: true }) },
+    })
+  ),
+  asyncHandler(async (req, res) => {
+    const { Invoice } = req.app.get("models");
+    const { jobId } = req.query;
+
+    const page = await paginate(Invoice, {
+      where: { ...partyOf(req.profile.id), ...(jobId && { JobId: jobId }) },
+      query: req.query,
+    });
+
+    res.json(page);
+  })
+);
+
+/**
+ * @returns the invoice by id, only to the client and contractor on it.
+ * Sent as JSON, or as a document to callers asking for `Accept: text/html` or `application/pdf`.
+ */
+router.get(
+  "/:id",
+  getProfile,
+  validate({ params: { id: integer({ min: 1 }) } }),
+  asyncHandler(async (req, res, next) => {
+    const { Invoice } = req.app.get("models");
+    const invoice = await Invoice.findOne({
+      where: { id: req.params.id, ...partyOf(req.profile.id) },
+    });
+    if (!invoice)
+      return next(new HttpError(404, "invoice_not_found", "Invoice not found"));
+
+    res.format({
+      "application/json": () => res.json(invoice),
+      "text/html": () => res.type("text/html").send(renderHtml(invoice)),
+      "application/pdf": () =>
+        res
+          .type("application/pdf")
+          .attachment(`${invoice.number}.pdf`)
+          .send(renderPdf(invoice)),
+      default: () =>
+        next(
+          new HttpError(
+            406,
+            "not_acceptable",
+            "Invoices are available as JSON, HTML or PDF"
+          )
+        ),
+    });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,650 @@
+const express = require("express");
+const { Op, Transaction } = require("sequelize");
+const { getProfile } = require("../middleware/getProfile");
+const { requireRole } = require("../middleware/requireRole");
+const { idempotency } = require("../middleware/idempotency");
+const { assertTransition } = require("../jobStatus");
+const { HttpError } = require("../errors");
+const { auditContext, recordAudit } = require("../audit");
+const { emitEvent } = require("../webhooks");
+const { transferPayment, transferRefund } = require("../jobPayments");
+const { assertNotDisputed } = require("../disputes");
+const { toCents, fromCents, adjustColumn } = require("../money");
+const {
+  validate,
+  string,
+  integer,
+  boolean,
+  oneOf,
+  amount,
+  currency,
+} = require("../validation");
+const { listSchema, paginate, range } = require("../pagination");
+const { partyOf } = require("../parties");
+const { asyncHandler } = require("../middleware/asyncHandler");
+
+const jobParams = { params: { id: integer({ min: 1 }) } };
+
+const router = express.Router();
+
+/**
+ * @returns Get all unpaid jobs for a user (either a client or contractor), for active contracts only
+ * [REMARKS]: "for a user" rather than "belongs to a user" suggests that in the context, suggests somebody other than client or contractor
+ * ie: a global admin of some sort, therefore getProfile would not be a suitable authentication. I'm going to presume you meant belonging to the user.
+ * Paginated and filtered following src/pagination.js, plus `status`, `counterpartyId` and `minPrice`/`maxPrice`.
+ * Each job reports its `amountPaid` so far and the `amountDue` remainder, which refunded payments count towards.
+ */
+router.get(
+  "/unpaid",
+  getProfile,
+  validate(
+    listSchema({
+      sortable: ["id", "createdAt", "price"],
+      defaultSort: "id",
+      filters: {
+        status: oneOf(["draft", "submitted", "approved", "rejected"], {
+          optional: true,
+        }),
+        counterpartyId: integer({ min: 1, optional: true }),
+        minPrice: amount({ optional: true }),
+        maxPrice: amount({ optional: true }),
+      },
+    })
+  ),
+  asyncHandler(async (req, res) => {
+    const { Job, Contract } = req.app.get("models");
+    const { status, counterpartyId, minPrice, maxPrice } = req.query;
+    const price = range(minPrice, maxPrice);
+
+    //join on contracts on contractId and ensure the contract is active
+    const page = await paginate(Job, {
+      include: {
+        model: Contract,
+        as: "Contract",
+        required: true,
+        where: {
+          status: "in_progress",
+          ...partyOf(req.profile.id, counterpartyId),
+        },
+      },
+      where: {
+        paid: {
+          [Op.not]: true,
+        },
+        ...(status && { status }),
+        ...(price && { price }),
+      },
+      query: req.query,
+    });
+    res.json(page);
+  })
+);
+/**
+ * @returns Pay for a job, a client can only pay if his balance >= the amount to pay. The amount should be moved from the client's balance to the contractor balance.
+ * Only jobs the client has approved can be paid. An optional `amount` pays part of what is due, the job is only paid once fully settled.
+ * Jobs are paid in their contract's currency, from the client's balance in that currency unless another `currency` is given,
+ * which is then converted at the configured exchange rate (refused without one).
+ * Whatever the contract's escrow holds is used before the client's balance.
+ * Every payment issues an invoice from the contractor to the client, see src/invoices/index.js.
+ */
+router.post(
+  "/:job_id/pay",
+  getProfile,
+  requireRole("client"),
+  validate({
+    params: { job_id: integer({ min: 1 }) },
+    body: {
+      amount: amount({ positive: true, optional: true }),
+      currency: currency({ optional: true }),
+    },
+  }),
+  idempotency,
+  asyncHandler(async (req, res, next) => {
+    const sequelize = req.app.get("sequelize");
+    const { Job, Contract } = req.app.get("models");
+    const { job_id } = req.params;
+
+    try {
+      // IMMEDIATE takes the write lock up front so concurrent payments queue rather than interleave
+      await sequelize.transaction(
+        {
+          type: Transaction.TYPES.IMMEDIATE,
+          isolationLevel: Transaction.ISOLATION_LEVELS.SERIALIZABLE,
+        },
+        async (t) => {
+          const job = await Job.findOne({
+            include: {
+              model: Contract,
+              as: "Contract",
+              required: true,
+              where: {
+                status: "in_progress",
+                ClientId: req.profile.id,
+              },
+            },
+            where: {
+              id: job_id,
+              paid: {
+                [Op.not]: true,
+              },
+            },
+            lock: t.LOCK.UPDATE,
+            transaction: t,
+          });
+
+          if (!job)
+            throw new HttpError(404, "job_not_found", "Unpaid job not found");
+
+          assertTransition(job.status, "paid");
+          await assertNotDisputed(job, t);
+
+          const due = toCents(job.amountDue);
+          const cents =
+            req.body.amount === undefined ? due : toCents(req.body.amount);
+          if (cents > due)
+            throw new HttpError(
+              422,
+              "amount_exceeds_due",
+              "Amount exceeds what is left to pay for this job",
+              { amountDue: fromCents(due) }
+            );
+          const settles = cents === due;
+
+          //Record the payment, only if nobody paid in the meantime
+          const [paidCount] = await Job.update(
+            {
+              amountPaid: adjustColumn("amountPaid", cents),
+              ...(settles && {
+                paid: true,
+                status: "paid",
+                paymentDate: new Date(),
+              }),
+            },
+            {
+              where: {
+                id: job.id,
+                status: "approved",
+                amountPaid: job.amountPaid,
+                amountRefunded: job.amountRefunded,
+              },
+              transaction: t,
+            }
+          );
+          if (paidCount !== 1)
+            throw new HttpError(
+              409,
+              "job_already_paid",
+              "Job has already been paid"
+            );
+
+          await transferPayment(
+            {
+              job,
+              cents,
+              sourceCurrency: req.body.currency,
+              fx: req.app.get("fxRates"),
+            },
+            t
+          );
+
+          await recordAudit(
+            auditContext(req),
+            {
+              action: "job.pay",
+              target: job,
+              before: job,
+              after: await Job.findByPk(job.id, { transaction: t }),
+            },
+            t
+          );
+
+          if (settles)
+            await emitEvent(
+              "job.paid",
+              {
+                jobId: job.id,
+                contractId: job.ContractId,
+                price: job.price,
+                currency: job.Contract.currency,
+              },
+              t
+            );
+        }
+      );
+    } catch (error) {
+      return next(error);
+    }
+
+    const newJob = await Job.findOne({
+      include: {
+        model: Contract,
+        as: "Contract",
+        required: true,
+        where: {
+          status: "in_progress",
+          ClientId: req.profile.id,
+        },
+      },
+      where: {
+        id: job_id,
+      },
+    });
+
+    res.json(newJob);
+  })
+);
+
+/**
+ * @returns the job, refunding `amount` (by default all that is left) of its payments from the contractor back to the client.
+ * Refused when the contractor's balance can't cover it, unless an admin forces the balance negative.
+ * Refunds are in the contract's currency, whichever currency the client paid from.
+ * Any job with payments left to refund can be refunded, including a partly paid `approved` one.
+ * A `paid` job is only `refunded` once refunded in full, a partly paid job stays `approved`.
+ */
+router.post(
+  "/:job_id/refund",
+  getProfile,
+  requireRole("contractor", "admin"),
+  validate({
+    params: { job_id: integer({ min: 1 }) },
+    body: {
+      amount: amount({ positive: true, optional: true }),
+      reason: string({ maxLength: 1000 }),
+      force: boolean({ default: false }),
+    },
+  }),
+  idempotency,
+  asyncHandler(async (req, res, next) => {
+    const sequelize = req.app.get("sequelize");
+    const { Job, Contract } = req.app.get("models");
+    const { job_id } = req.params;
+    const { reason, force } = req.body;
+    const isAdmin = req.profile.type === "admin";
+
+    try {
+      if (force && !isAdmin)
+        throw new HttpError(
+          403,
+          "not_allowed",
+          "Only an admin can force a refund"
+        );
+
+      await sequelize.transaction(
+        {
+          type: Transaction.TYPES.IMMEDIATE,
+          isolationLevel: Transaction.ISOLATION_LEVELS.SERIALIZABLE,
+        },
+        async (t) => {
+          const job = await Job.findOne({
+            include: {
+              model: Contract,
+              as: "Contract",
+              required: true,
+              where: isAdmin ? {} : { ContractorId: req.profile.id },
+            },
+            where: { id: job_id },
+            lock: t.LOCK.UPDATE,
+            transaction: t,
+          });
+
+          if (!job) throw new HttpError(404, "job_not_found", "Job not found");
+
+          await assertNotDisputed(job, t);
+
+          const refundable =
+            toCents(job.amountPaid) - toCents(job.amountRefunded);
+          if (refundable <= 0)
+            throw new HttpError(
+              409,
+              "nothing_to_refund",
+              "Job has no payments left to refund"
+            );
+          const cents =
+            req.body.amount === undefined
+              ? refundable
+              : toCents(req.body.amount);
+          if (cents > refundable)
+            throw new HttpError(
+              422,
+              "amount_exceeds_refundable",
+              "Amount exceeds what is left to refund for this job",
+              { refundable: fromCents(refundable) }
+            );
+
+          //Record the refund, only if nobody refunded in the meantime
+          const [refundedCount] = await Job.update(
+            {
+              amountRefunded: adjustColumn("amountRefunded", cents),
+              ...(cents === refundable &&
+                job.status === "paid" && { status: "refunded" }),
+            },
+            {
+              where: {
+                id: job.id,
+                status: job.status,
+                amountRefunded: job.amountRefunded,
+              },
+              transaction: t,
+            }
+          );
+          if (refundedCount !== 1)
+            throw new HttpError(
+              409,
+              "job_changed",
+              "Job was changed by another request"
+            );
+
+          await transferRefund(
+            { job, cents, reason, profileId: req.profile.id, force },
+            t
+          );
+
+          await recordAudit(
+            auditContext(req),
+            {
+              action: "job.refund",
+              target: job,
+              before: job,
+              after: await Job.findByPk(job.id, { transaction: t }),
+            },
+            t
+          );
+
+          await emitEvent(
+            "job.refunded",
+            {
+              jobId: job.id,
+              contractId: job.ContractId,
+              amount: fromCents(cents),
+              currency: job.Contract.currency,
+              reason,
+              fullyRefunded: cents === refundable,
+            },
+            t
+          );
+        }
+      );
+    } catch (error) {
+      return next(error);
+    }
+
+    res.json(await Job.findByPk(job_id));
+  })
+);
+
+/**
+ * @returns the new dispute on the job, opened by either party of its contract.
+ * Its payments and refunds are frozen until an admin resolves it, see src/disputes.js.
+ */
+router.post(
+  "/:id/disputes",
+  getProfile,
+  requireRole("client", "contractor"),
+  validate({ ...jobParams, body: { reason: string({ maxLength: 1000 }) } }),
+  async (req, res, next) => {
+    const sequelize = req.app.get("sequelize");
+    const { Job, Contract, Dispute } = req.app.get("models");
+    const { id } = req.params;
+
+    try {
+      const dispute = await sequelize.transaction(
+        { type: Transaction.TYPES.IMMEDIATE },
+        async (t) => {
+          const job = await Job.findOne({
+            include: {
+              model: Contract,
+              as: "Contract",
+              required: true,
+              where: partyOf(req.profile.id),
+            },
+            where: { id },
+            transaction: t,
+          });
+          if (!job) throw new HttpError(404, "job_not_found", "Job not found");
+
+          const open = await Dispute.count({
+            where: { JobId: job.id, status: "open" },
+            transaction: t,
+          });
+          if (open > 0)
+            throw new HttpError(
+              409,
+              "dispute_already_open",
+              "Job already has an open dispute"
+            );
+
+          const dispute = await Dispute.create(
+            {
+              reason: req.body.reason,
+              JobId: job.id,
+              OpenedById: req.profile.id,
+            },
+            { transaction: t }
+          );
+          await recordAudit(
+            auditContext(req),
+            { action: "dispute.open", target: dispute, after: dispute },
+            t
+          );
+          await emitEvent(
+            "dispute.opened",
+            {
+              disputeId: dispute.id,
+              jobId: job.id,
+              contractId: job.ContractId,
+              openedById: req.profile.id,
+            },
+            t
+          );
+          return dispute;
+        }
+      );
+
+      res.status(201).json(dispute);
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * Runs `fn` with the job (and its contract) locked for writing, only if the calling profile is a party to its contract.
+ * `action` is audited with the job as it was before and after `fn`.
+ * @returns the job as it is after `fn`
+ */
+const withJob = async (req, action, fn) => {
+  const sequelize = req.app.get("sequelize");
+  const { Job, Contract } = req.app.get("models");
+  const { id } = req.params;
+
+  await sequelize.transaction(
+    { type: Transaction.TYPES.IMMEDIATE },
+    async (t) => {
+      const job = await Job.findOne({
+        include: {
+          model: Contract,
+          as: "Contract",
+          required: true,
+          where: {
+            [Op.or]: [
+              { ClientId: req.profile.id },
+              { ContractorId: req.profile.id },
+            ],
+          },
+        },
+        where: { id },
+        lock: t.LOCK.UPDATE,
+        transaction: t,
+      });
+
+      if (!job) throw new HttpError(404, "job_not_found", "Job not found");
+
+      await fn(job, t);
+
+      await recordAudit(
+        auditContext(req),
+        {
+          action,
+          target: job,
+          before: job,
+          after: await Job.findByPk(id, { transaction: t }),
+        },
+        t
+      );
+    }
+  );
+
+  return Job.findByPk(id);
+};
+
+/**
+ * @throws {HttpError} 403 unless the calling profile is the `party` (ClientId or ContractorId) of the job's contract
+ */
+const assertParty = (req, job, party) => {
+  if (job.Contract[party] !== req.profile.id)
+    throw new HttpError(
+      403,
+      "not_allowed",
+      `Only the ${party === "ClientId" ? "client" : "contractor"} can do this`
+    );
+};
+
+/**
+ * Moves the job to `to` (with any other `changes`), only if it is still in the status it was read in.
+ */
+const transition = async (job, to, transaction, changes = {}) => {
+  const Job = job.constructor;
+  assertTransition(job.status, to);
+
+  const [updated] = await Job.update(
+    { ...changes, status: to },
+    { where: { id: job.id, status: job.status }, transaction }
+  );
+  if (updated !== 1)
+    throw new HttpError(
+      409,
+      "job_changed",
+      "Job was changed by another request"
+    );
+};
+
+/**
+ * @returns the edited job, the contractor may change the description and price while it is unpaid.
+ * Any edit sends the job back to draft so the client reviews the new version.
+ */
+router.patch(
+  "/:id",
+  getProfile,
+  requireRole("contractor"),
+  validate({
+    ...jobParams,
+    body: {
+      description: string({ optional: true }),
+      price: amount({ positive: true, optional: true }),
+    },
+  }),
+  async (req, res, next) => {
+    const { description, price } = req.body;
+
+    try {
+      const changes = {};
+      if (description !== undefined) changes.description = description;
+      if (price !== undefined) changes.price = price;
+
+      const job = await withJob(req, "job.update", async (job, t) => {
+        assertParty(req, job, "ContractorId");
+        if (job.paid)
+          throw new HttpError(
+            409,
+            "job_already_paid",
+            "Paid jobs can't be edited"
+          );
+
+        if (
+          price !== undefined &&
+          toCents(price) < toCents(job.amountPaid) - toCents(job.amountRefunded)
+        )
+          throw new HttpError(
+            409,
+            "price_below_amount_paid",
+            "Price can't be lower than what has already been paid",
+            { amountPaid: job.amountPaid, amountRefunded: job.amountRefunded }
+          );
+
+        await transition(job, "draft", t, changes);
+      });
+
+      res.json(job);
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * @returns the job, submitted by the contractor for the client to approve
+ */
+router.post(
+  "/:id/submit",
+  getProfile,
+  requireRole("contractor"),
+  validate(jobParams),
+  async (req, res, next) => {
+    try {
+      const job = await withJob(req, "job.submit", async (job, t) => {
+        assertParty(req, job, "ContractorId");
+        await transition(job, "submitted", t);
+      });
+
+      res.json(job);
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * @returns the job, approved by the client, which makes it payable
+ */
+router.post(
+  "/:id/approve",
+  getProfile,
+  requireRole("client"),
+  validate(jobParams),
+  async (req, res, next) => {
+    try {
+      const job = await withJob(req, "job.approve", async (job, t) => {
+        assertParty(req, job, "ClientId");
+        await transition(job, "approved", t);
+      });
+
+      res.json(job);
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * @returns the job, rejected by the client, the contractor can edit it and submit again
+ */
+router.post(
+  "/:id/reject",
+  getProfile,
+  requireRole("client"),
+  validate(jobParams),
+  async (req, res, next) => {
+    try {
+      const job = await withJob(req, "job.reject", async (job, t) => {
+        assertParty(req, job, "ClientId");
+        await transition(job, "rejected", t);
+      });
+
+      res.json(job);
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+module.exports = router;
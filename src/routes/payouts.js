@@ -0,0 +1,83 @@
+const express = require("express");
+const { getProfile } = require("../middleware/getProfile");
+const { requireRole } = require("../middleware/requireRole");
+const { cancelPayout } = require("../payouts");
+const { auditContext } = require("../audit");
+const { HttpError } = require("../errors");
+const { validate, integer, oneOf } = require("../validation");
+const { listSchema, paginate } = require("../pagination");
+const { asyncHandler } = require("../middleware/asyncHandler");
+
+const router = express.Router();
+
+const payoutParams = { params: { id: integer({ min: 1 }) } };
+
+router.use(getProfile, requireRole("contractor"));
+
+/**
+ * @returns the calling contractor's payouts, newest first by default.
+ * Paginated and filtered following src/pagination.js, plus `status`.
+ */
+router.get(
+  "/",
+  validate(
+    listSchema({
+      sortable: ["id", "createdAt"],
+      defaultSort: "-id",
+      filters: {
+        status: oneOf(
+          ["pending", "processing", "paid", "failed", "cancelled"],
+          { optional: true }
+        ),
+      },
+    })
+  ),
+  asyncHandler(async (req, res) => {
+    const { Payout } = req.app.get("models");
+    const { status } = req.query;
+
+    const page = await paginate(Payout, {
+      where: { ProfileId: req.profile.id, ...(status && { status }) },
+      query: req.query,
+    });
+
+    res.json(page);
+  })
+);
+
+/**
+ * @returns one of the calling contractor's payouts
+ */
+router.get(
+  "/:id",
+  validate(payoutParams),
+  asyncHandler(async (req, res, next) => {
+    const { Payout } = req.app.get("models");
+    const payout = await Payout.findOne({
+      where: { id: req.params.id, ProfileId: req.profile.id },
+    });
+    if (!payout)
+      return next(new HttpError(404, "payout_not_found", "Payout not found"));
+    res.json(payout);
+  })
+);
+
+/**
+ * @returns the cancelled payout, its amount back in the contractor's balance. Only pending payouts can be cancelled.
+ */
+router.post("/:id/cancel", validate(payoutParams), async (req, res, next) => {
+  try {
+    const payout = await cancelPayout(
+      req.app.get("sequelize"),
+      req.profile.id,
+      req.params.id,
+      auditContext(req)
+    );
+
+    res.json(payout);
+  } catch (error) {
+    return next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,135 @@
+const express = require("express");
+const { dateRange } = require("../middleware/dateRange");
+const { DEFAULT_CURRENCY } = require("../currency");
+const { validate, integer, oneOf, currency } = require("../validation");
+const {
+  BUCKETS,
+  contractorEarnings,
+  clientSpend,
+  professionRevenue,
+  outstandingLiabilities,
+  toCsv,
+} = require("../reports");
+
+/**
+ * The admin reports, mounted under the admin routes. Every report takes the `start` and `end` of
+ * its date range, a `limit` on its rows and the `currency` it reports in (default USD).
+ * Lists are sent as CSV instead of JSON to callers asking for `Accept: text/csv`.
+ */
+const router = express.Router();
+
+/**
+ * The query handling shared by the reports, `extra` rules for their own parameters.
+ */
+const reportQuery = ({ defaultLimit = 100, ...extra } = {}) => [
+  dateRange,
+  validate({
+    query: {
+      limit: integer({ min: 1, max: 100, default: defaultLimit }),
+      currency: currency({ default: DEFAULT_CURRENCY }),
+      ...extra,
+    },
+  }),
+];
+
+/**
+ * @returns a handler sending the rows of `report` as JSON, or as CSV of `columns`
+ */
+const sendReport = (report, columns) => async (req, res, next) => {
+  try {
+    const rows = await report(
+      req.app.get("sequelize"),
+      req.app.get("fxRates"),
+      { ...req.dateRange, ...req.query }
+    );
+
+    res.format({
+      "application/json": () => res.json(rows),
+      "text/csv": () => res.type("text/csv").send(toCsv(rows, columns)),
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * @returns   Returns the profession that earned the most money (sum of jobs paid) for any contactor that worked in the query time range.
+ * Refunded amounts don't count.
+ */
+router.get("/best-profession", reportQuery(), async (req, res, next) => {
+  try {
+    const [best] = await professionRevenue(
+      req.app.get("sequelize"),
+      req.app.get("fxRates"),
+      { ...req.dateRange, ...req.query, limit: 1 }
+    );
+
+    if (!best)
+      return res.json({
+        profession: null,
+      });
+
+    res.json({ total: best.revenue, profession: best.profession });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+/**
+ * @returns Returns the clients that paid the most for jobs in the query time period, limited by `limit` (default 2).
+ * Refunded amounts don't count.
+ */
+router.get(
+  "/best-clients",
+  reportQuery({ defaultLimit: 2 }),
+  sendReport(
+    async (...args) =>
+      (await clientSpend(...args)).map(({ id, fullName, spent }) => ({
+        id,
+        fullName,
+        paid: spent,
+      })),
+    ["id", "fullName", "paid"]
+  )
+);
+
+/**
+ * @returns what each contractor earned in the range, highest first
+ */
+router.get(
+  "/reports/contractor-earnings",
+  reportQuery(),
+  sendReport(contractorEarnings, ["id", "fullName", "profession", "earned"])
+);
+
+/**
+ * @returns what each client spent in the range, highest first
+ */
+router.get(
+  "/reports/client-spend",
+  reportQuery(),
+  sendReport(clientSpend, ["id", "fullName", "spent"])
+);
+
+/**
+ * @returns the revenue per profession in each `bucket` (`day`, `week` or `month`, default `month`) of the range,
+ * periods named by their first day
+ */
+router.get(
+  "/reports/profession-revenue",
+  reportQuery({
+    bucket: oneOf(Object.keys(BUCKETS), { default: "month" }),
+  }),
+  sendReport(professionRevenue, ["period", "profession", "revenue"])
+);
+
+/**
+ * @returns what each client still owes on the unpaid jobs of their active contracts logged in the range, highest first
+ */
+router.get(
+  "/reports/outstanding",
+  reportQuery(),
+  sendReport(outstandingLiabilities, ["id", "fullName", "jobs", "outstanding"])
+);
+
+module.exports = router;
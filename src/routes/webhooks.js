@@ -0,0 +1,313 @@
+const express = require("express");
+const {
+  EVENT_TYPES,
+  generateSecret,
+  dispatchWebhooks,
+} = require("../webhooks");
+const { auditContext, recordAudit } = require("../audit");
+const { HttpError } = require("../errors");
+const {
+  validate,
+  string,
+  integer,
+  boolean,
+  oneOf,
+  url,
+  arrayOf,
+} = require("../validation");
+const { listSchema, paginate } = require("../pagination");
+const { asyncHandler } = require("../middleware/asyncHandler");
+
+/**
+ * Webhook subscriptions and their deliveries, mounted under the admin routes.
+ */
+const router = express.Router();
+
+const idParams = { params: { id: integer({ min: 1 }) } };
+
+/**
+ * Runs `fn` with the subscription, audited as `action` with the subscription before and after.
+ * @returns the subscription as it is after `fn`
+ */
+const withSubscription = async (req, action, fn) => {
+  const sequelize = req.app.get("sequelize");
+  const { WebhookSubscription } = req.app.get("models");
+  const { id } = req.params;
+
+  await sequelize.transaction(async (t) => {
+    const subscription = await WebhookSubscription.findByPk(id, {
+      transaction: t,
+    });
+    if (!subscription)
+      throw new HttpError(
+        404,
+        "subscription_not_found",
+        "Webhook subscription not found"
+      );
+
+    await fn(subscription, t);
+
+    await recordAudit(
+      auditContext(req),
+      {
+        action,
+        target: subscription,
+        before: subscription,
+        after: await WebhookSubscription.findByPk(id, { transaction: t }),
+      },
+      t
+    );
+  });
+
+  return WebhookSubscription.findByPk(id);
+};
+
+/**
+ * @returns the webhook subscriptions, paginated following src/pagination.js, plus `active`
+ */
+router.get(
+  "/",
+  validate(
+    listSchema({
+      sortable: ["id", "createdAt"],
+      defaultSort: "id",
+      filters: { active: boolean({ optional: true }) },
+    })
+  ),
+  asyncHandler(async (req, res) => {
+    const { WebhookSubscription } = req.app.get("models");
+    const { active } = req.query;
+
+    const page = await paginate(WebhookSubscription, {
+      where: active === undefined ? {} : { active },
+      query: req.query,
+    });
+
+    res.json(page);
+  })
+);
+
+/**
+ * @returns the new subscription to `events` delivered to `url`, with the `secret` signing them.
+ * The secret is generated unless given and never returned again.
+ */
+router.post(
+  "/",
+  validate({
+    body: {
+      url: url(),
+      events: arrayOf(oneOf(EVENT_TYPES)),
+      secret: string({ optional: true, maxLength: 255 }),
+    },
+  }),
+  async (req, res, next) => {
+    const sequelize = req.app.get("sequelize");
+    const { WebhookSubscription } = req.app.get("models");
+    const { url, events, secret = generateSecret() } = req.body;
+
+    try {
+      const subscription = await sequelize.transaction(async (t) => {
+        const subscription = await WebhookSubscription.create(
+          { url, events: [...new Set(events)], secret },
+          { transaction: t }
+        );
+        await recordAudit(
+          auditContext(req),
+          {
+            action: "webhook.create",
+            target: subscription,
+            after: await WebhookSubscription.findByPk(subscription.id, {
+              transaction: t,
+            }),
+          },
+          t
+        );
+        return subscription;
+      });
+
+      res.status(201).json(subscription);
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * @returns the deliveries, newest first, filtered by `status` (eg: `dead` for those that gave up) and `subscriptionId`
+ */
+router.get(
+  "/deliveries",
+  validate(
+    listSchema({
+      sortable: ["id", "createdAt"],
+      defaultSort: "-id",
+      filters: {
+        status: oneOf(["pending", "delivered", "dead"], { optional: true }),
+        subscriptionId: integer({ min: 1, optional: true }),
+      },
+    })
+  ),
+  asyncHandler(async (req, res) => {
+    const { WebhookDelivery, WebhookEvent } = req.app.get("models");
+    const { status, subscriptionId } = req.query;
+
+    const page = await paginate(WebhookDelivery, {
+      where: {
+        ...(status && { status }),
+        ...(subscriptionId && { WebhookSubscriptionId: subscriptionId }),
+      },
+      include: WebhookEvent,
+      query: req.query,
+    });
+
+    res.json(page);
+  })
+);
+
+/**
+ * @returns the dead delivery, queued to be sent again from scratch on the next dispatch
+ */
+router.post(
+  "/deliveries/:id/retry",
+  validate(idParams),
+  async (req, res, next) => {
+    const sequelize = req.app.get("sequelize");
+    const { WebhookDelivery } = req.app.get("models");
+    const { id } = req.params;
+
+    try {
+      await sequelize.transaction(async (t) => {
+        const delivery = await WebhookDelivery.findByPk(id, {
+          transaction: t,
+        });
+        if (!delivery)
+          throw new HttpError(
+            404,
+            "delivery_not_found",
+            "Webhook delivery not found"
+          );
+
+        const [retried] = await WebhookDelivery.update(
+          { status: "pending", attempts: 0, nextAttemptAt: new Date() },
+          { where: { id, status: "dead" }, transaction: t }
+        );
+        if (retried !== 1)
+          throw new HttpError(
+            409,
+            "delivery_not_dead",
+            "Only dead deliveries can be retried",
+            { status: delivery.status }
+          );
+
+        await recordAudit(
+          auditContext(req),
+          {
+            action: "webhook.retry",
+            target: delivery,
+            before: delivery,
+            after: await WebhookDelivery.findByPk(id, { transaction: t }),
+          },
+          t
+        );
+      });
+
+      res.json(await WebhookDelivery.findByPk(id));
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * @returns how many due deliveries were delivered, left to retry or gave up
+ */
+router.post("/dispatch", async (req, res, next) => {
+  try {
+    const { webhookBatch, webhookMaxAttempts } = req.app.get("config").limits;
+    res.json(
+      await dispatchWebhooks(req.app.get("sequelize"), {
+        limit: webhookBatch,
+        maxAttempts: webhookMaxAttempts,
+      })
+    );
+  } catch (error) {
+    return next(error);
+  }
+});
+
+/**
+ * @returns the subscription
+ */
+router.get(
+  "/:id",
+  validate(idParams),
+  asyncHandler(async (req, res, next) => {
+    const { WebhookSubscription } = req.app.get("models");
+
+    const subscription = await WebhookSubscription.findByPk(req.params.id);
+    if (!subscription)
+      return next(
+        new HttpError(
+          404,
+          "subscription_not_found",
+          "Webhook subscription not found"
+        )
+      );
+    res.json(subscription);
+  })
+);
+
+/**
+ * @returns the subscription with its `url`, `events` or `active` changed, inactive ones receive nothing
+ */
+router.patch(
+  "/:id",
+  validate({
+    ...idParams,
+    body: {
+      url: url({ optional: true }),
+      events: arrayOf(oneOf(EVENT_TYPES), { optional: true }),
+      active: boolean({ optional: true }),
+    },
+  }),
+  async (req, res, next) => {
+    const { url, events, active } = req.body;
+
+    try {
+      const subscription = await withSubscription(
+        req,
+        "webhook.update",
+        (subscription, t) =>
+          subscription.update(
+            {
+              ...(url !== undefined && { url }),
+              ...(events !== undefined && { events: [...new Set(events)] }),
+              ...(active !== undefined && { active }),
+            },
+            { transaction: t }
+          )
+      );
+
+      res.json(subscription);
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * Deletes the subscription along with its deliveries.
+ */
+router.delete("/:id", validate(idParams), async (req, res, next) => {
+  try {
+    await withSubscription(req, "webhook.delete", (subscription, t) =>
+      subscription.destroy({ transaction: t })
+    );
+
+    res.status(204).end();
+  } catch (error) {
+    return next(error);
+  }
+});
+
+module.exports = router;
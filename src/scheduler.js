@@ -0,0 +1,31 @@
+const { loadConfig } = require('./config');
+const { createLogger } = require('./logger');
+const { createDatabase } = require('./model');
+const { createFxTable } = require('./currency');
+const { createScheduler } = require('./billing');
+
+init();
+
+// Bills recurring contracts and delivers webhooks, run alongside src/server.js
+async function init() {
+  try {
+    const config = loadConfig();
+    const logger = createLogger(config.logLevel);
+    const scheduler = createScheduler({
+      sequelize: createDatabase(config.database, { logger }),
+      fx: createFxTable(config.fxRates),
+      intervalMs: config.billing.intervalMs,
+      limit: config.limits.billingBatch,
+      maxPeriods: config.limits.billingPeriods,
+      webhookLimit: config.limits.webhookBatch,
+      webhookMaxAttempts: config.limits.webhookMaxAttempts,
+      onError: logger.error,
+    });
+    await scheduler.tick();
+    scheduler.start();
+    logger.info('Billing Scheduler Started');
+  } catch (error) {
+    console.error(`An error occurred: ${error.message}`);
+    process.exit(1);
+  }
+}
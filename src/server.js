@@ -1,14 +1,17 @@
-const app = require('./app');
+const { createApp } = require('./app');
+const { loadConfig } = require('./config');
 
 init();
 
 async function init() {
   try {
-    app.listen(3001, () => {
-      console.log('Express App Listening on Port 3001');
+    const config = loadConfig();
+    const app = createApp({ config });
+    app.listen(config.port, () => {
+      app.get('logger').info(`Express App Listening on Port ${config.port}`);
     });
   } catch (error) {
-    console.error(`An error occurred: ${JSON.stringify(error)}`);
+    console.error(`An error occurred: ${error.message}`);
     process.exit(1);
   }
 }
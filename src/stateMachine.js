@@ -0,0 +1,30 @@
+const { HttpError } = require("./errors");
+
+/**
+ * Builds the transition helpers for a status column.
+ * @param {string} name used in the `invalid_<name>_transition` error code
+ * @param {Object<string, string[]>} transitions the statuses reachable from each status
+ */
+const createStateMachine = (name, transitions) => {
+  const canTransition = (from, to) => (transitions[from] || []).includes(to);
+
+  /**
+   * @throws {HttpError} 409 when the status can't move from `from` to `to`
+   */
+  const assertTransition = (from, to) => {
+    if (!canTransition(from, to)) {
+      throw new HttpError(
+        409,
+        `invalid_${name}_transition`,
+        `${name[0].toUpperCase()}${name.slice(
+          1
+        )} can't move from ${from} to ${to}`,
+        { from, to, allowed: transitions[from] || [] }
+      );
+    }
+  };
+
+  return { TRANSITIONS: transitions, canTransition, assertTransition };
+};
+
+module.exports = { createStateMachine };
@@ -0,0 +1,179 @@
+const { HttpError } = require("./errors");
+const { fromCents, parseAmount } = require("./money");
+
+/**
+ * Declarative request validation.
+ *
+ *   validate({
+ *     params: { id: integer({ min: 1 }) },
+ *     query: { limit: integer({ min: 1, default: 2 }) },
+ *     body: { amount: amount() },
+ *   })
+ *
+ * Each rule parses (and coerces) its field, the parsed values replace the originals on `req`.
+ * Every failing field is reported at once as a 400 `validation_failed` error.
+ */
+
+class RuleError extends Error {}
+
+const fail = (message) => {
+  throw new RuleError(message);
+};
+
+/**
+ * Wraps a check with the handling of missing values shared by every rule:
+ * `optional` fields may be left out, `default` fills them in.
+ */
+const rule =
+  (check) =>
+  (options = {}) =>
+  (value, field) => {
+    if (value === undefined || value === null || value === "") {
+      if (options.default !== undefined) return options.default;
+      if (options.optional) return undefined;
+      return fail(`${field} is required`);
+    }
+    return check(value, field, options);
+  };
+
+const string = rule((value, field, { maxLength = 10000 }) => {
+  if (typeof value !== "string" || !value.trim())
+    fail(`${field} must be a non-empty string`);
+  if (value.length > maxLength)
+    fail(`${field} must be at most ${maxLength} characters`);
+  return value;
+});
+
+const integer = rule((value, field, { min, max }) => {
+  const number =
+    typeof value === "string" && /^-?\d+$/.test(value) ? Number(value) : value;
+  if (!Number.isSafeInteger(number)) fail(`${field} must be an integer`);
+  if (min !== undefined && number < min)
+    fail(`${field} must be at least ${min}`);
+  if (max !== undefined && number > max)
+    fail(`${field} must be at most ${max}`);
+  return number;
+});
+
+const boolean = rule((value, field) => {
+  if (value === true || value === "true") return true;
+  if (value === false || value === "false") return false;
+  return fail(`${field} must be true or false`);
+});
+
+const date = rule((value, field) => {
+  const parsed = new Date(value);
+  if (typeof value !== "string" || isNaN(parsed.getTime()))
+    fail(`${field} must be a valid date`);
+  return parsed;
+});
+
+const oneOf = (values, options) =>
+  rule((value, field) => {
+    if (!values.includes(value))
+      fail(`${field} must be one of ${values.join(", ")}`);
+    return value;
+  })(options);
+
+/**
+ * A money amount with at most two decimal places, see `parseAmount`.
+ * `positive` additionally rejects 0.
+ */
+const amount = rule((value, field, { positive }) => {
+  let cents;
+  try {
+    cents = parseAmount(value, field);
+  } catch (error) {
+    return fail(error.message);
+  }
+  if (positive && cents === 0) fail(`${field} must be greater than 0`);
+  return fromCents(cents);
+});
+
+/**
+ * An ISO 4217 currency code, accepted in any case and returned upper case.
+ */
+const currency = rule((value, field) => {
+  if (typeof value !== "string" || !/^[a-z]{3}$/i.test(value))
+    fail(`${field} must be a three letter currency code`);
+  return value.toUpperCase();
+});
+
+/**
+ * An absolute http(s) URL.
+ */
+const url = rule((value, field) => {
+  let parsed;
+  try {
+    parsed = new URL(value);
+  } catch (error) {
+    return fail(`${field} must be a valid URL`);
+  }
+  if (!["http:", "https:"].includes(parsed.protocol))
+    fail(`${field} must be an http or https URL`);
+  return parsed.toString();
+});
+
+/**
+ * A non-empty array whose every item passes the `item` rule.
+ */
+const arrayOf = (item, options) =>
+  rule((value, field) => {
+    if (!Array.isArray(value) || !value.length)
+      fail(`${field} must be a non-empty array`);
+    return value.map((entry, index) => item(entry, `${field}[${index}]`));
+  })(options);
+
+const LOCATIONS = ["params", "query", "body"];
+
+/**
+ * @param {Object} schema rules per location (`params`, `query`, `body`), plus an optional
+ * `refine(req)` for checks across fields, returning `{ location, field, message }` issues
+ */
+const validate = (schema) => (req, res, next) => {
+  const errors = [];
+
+  for (const location of LOCATIONS) {
+    const rules = schema[location];
+    if (!rules) continue;
+
+    const input = req[location] || {};
+    const parsed = {};
+
+    for (const [field, check] of Object.entries(rules)) {
+      try {
+        const value = check(input[field], field);
+        if (value !== undefined) parsed[field] = value;
+      } catch (error) {
+        if (!(error instanceof RuleError)) return next(error);
+        errors.push({ location, field, message: error.message });
+      }
+    }
+
+    req[location] = { ...input, ...parsed };
+  }
+
+  if (!errors.length && schema.refine) errors.push(...schema.refine(req));
+
+  if (errors.length)
+    return next(
+      new HttpError(400, "validation_failed", errors[0].message, { errors })
+    );
+
+  next();
+};
+
+module.exports = {
+  validate,
+  rule,
+  fail,
+  string,
+  integer,
+  boolean,
+  date,
+  oneOf,
+  amount,
+  currency,
+  url,
+  arrayOf,
+};
@@ -0,0 +1,118 @@
+import { describe, it, expect, vi } from "vitest";
+import {
+  validate,
+  string,
+  integer,
+  boolean,
+  date,
+  oneOf,
+  amount,
+  url,
+  arrayOf,
+} from "./validation";
+
+const run = (schema, req) => {
+  const next = vi.fn();
+  validate(schema)(req, {}, next);
+  return next.mock.calls[0][0];
+};
+
+describe("validation", () => {
+  it("it should coerce and default valid values in place", () => {
+    const req = {
+      params: { id: "3" },
+      query: { force: "true", start: "2020-08-15" },
+      body: { amount: "10.50" },
+    };
+
+    const error = run(
+      {
+        params: { id: integer({ min: 1 }) },
+        query: {
+          force: boolean(),
+          start: date(),
+          limit: integer({ default: 2 }),
+        },
+        body: { amount: amount() },
+      },
+      req
+    );
+
+    expect(error).toBeUndefined();
+    expect(req.params.id).toBe(3);
+    expect(req.query.force).toBe(true);
+    expect(req.query.start).toEqual(new Date("2020-08-15"));
+    expect(req.query.limit).toBe(2);
+    expect(req.body.amount).toBe(10.5);
+  });
+
+  it("it should leave optional values out", () => {
+    const req = { body: {} };
+
+    expect(run({ body: { terms: string({ optional: true }) } }, req)).toBe(
+      undefined
+    );
+    expect(req.body).toEqual({});
+  });
+
+  it("it should collect every failing field into one validation error", () => {
+    const error = run(
+      {
+        params: { id: integer({ min: 1 }) },
+        body: { terms: string(), amount: amount({ positive: true }) },
+      },
+      { params: { id: "0" }, body: { amount: 0 } }
+    );
+
+    expect(error.status).toBe(400);
+    expect(error.code).toBe("validation_failed");
+    expect(error.details.errors).toEqual([
+      { location: "params", field: "id", message: "id must be at least 1" },
+      { location: "body", field: "terms", message: "terms is required" },
+      {
+        location: "body",
+        field: "amount",
+        message: "amount must be greater than 0",
+      },
+    ]);
+  });
+
+  it("it should run refinements across fields once every field is valid", () => {
+    const refine = vi.fn(() => [
+      { location: "query", field: "start", message: "start after end" },
+    ]);
+
+    const error = run({ query: { start: date() }, refine }, { query: {} });
+    expect(error.details.errors[0].message).toBe("start is required");
+    expect(refine).not.toHaveBeenCalled();
+
+    const refined = run(
+      { query: { start: date() }, refine },
+      { query: { start: "2020-01-01" } }
+    );
+    expect(refined.details.errors[0].message).toBe("start after end");
+  });
+
+  it("it should check every item of an array and only accept http(s) URLs", () => {
+    const schema = {
+      body: {
+        url: url(),
+        events: arrayOf(oneOf(["job.paid", "contract.terminated"])),
+      },
+    };
+
+    const req = {
+      body: { url: "http://localhost:3002/hook", events: ["job.paid"] },
+    };
+    expect(run(schema, req)).toBeUndefined();
+    expect(req.body.events).toEqual(["job.paid"]);
+
+    const error = run(schema, {
+      body: { url: "ftp://example.com", events: ["job.paid", "job.eaten"] },
+    });
+    expect(error.details.errors.map(({ message }) => message)).toEqual([
+      "url must be an http or https URL",
+      "events[1] must be one of job.paid, contract.terminated",
+    ]);
+  });
+});
@@ -0,0 +1,190 @@
+const crypto = require("crypto");
+const { Op, Transaction } = require("sequelize");
+
+/**
+ * Webhooks tell subscribers about changes as they happen. Handlers `emitEvent` in the transaction
+ * making the change, which queues a delivery per subscription in the outbox (WebhookEvents and
+ * WebhookDeliveries): events of a rolled back change are never sent. `dispatchWebhooks` later POSTs
+ * due deliveries, retrying failures with exponential backoff until they are `dead`.
+ *
+ * Each delivery is signed: `X-Webhook-Signature` is `sha256=` followed by the hex HMAC-SHA256,
+ * keyed with the subscription's secret, of `<X-Webhook-Timestamp>.<body>`.
+ */
+
+const EVENT_TYPES = [
+  "contract.created",
+  "contract.accepted",
+  "contract.funded",
+  "contract.terminated",
+  "job.paid",
+  "job.refunded",
+  "dispute.opened",
+  "dispute.resolved",
+  "balance.deposited",
+  "billing.skipped",
+];
+
+const MAX_ATTEMPTS = 5;
+const BASE_DELAY_MS = 30 * 1000;
+const TIMEOUT_MS = 5 * 1000;
+
+const IMMEDIATE = { type: Transaction.TYPES.IMMEDIATE };
+
+/**
+ * @returns the delay before retrying a delivery that failed `attempts` times, doubling each time
+ */
+const backoff = (attempts) => BASE_DELAY_MS * 2 ** (attempts - 1);
+
+/**
+ * @returns the `X-Webhook-Signature` of `body` sent at `timestamp` (in seconds)
+ */
+const sign = (secret, timestamp, body) =>
+  `sha256=${crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex")}`;
+
+/**
+ * @returns a new random subscription secret
+ */
+const generateSecret = () => crypto.randomBytes(32).toString("hex");
+
+/**
+ * Queues `type` with its `data` for every active subscription listening to it.
+ * Must be called with the transaction making the change the event describes.
+ */
+const emitEvent = async (type, data, transaction) => {
+  const { WebhookSubscription, WebhookEvent, WebhookDelivery } =
+    transaction.sequelize.models;
+  const subscriptions = (
+    await WebhookSubscription.findAll({
+      where: { active: true },
+      transaction,
+    })
+  ).filter(({ events }) => events.includes(type));
+  if (!subscriptions.length) return;
+
+  const event = await WebhookEvent.create({ type, data }, { transaction });
+  await WebhookDelivery.bulkCreate(
+    subscriptions.map((subscription) => ({
+      WebhookEventId: event.id,
+      WebhookSubscriptionId: subscription.id,
+      nextAttemptAt: event.createdAt,
+    })),
+    { transaction }
+  );
+};
+
+/**
+ * @returns the delivery's response status, POSTing the signed event to the subscription's url
+ * @throws {Error} when the request fails or is answered with anything but a 2xx
+ */
+const deliver = async (delivery, now) => {
+  const { WebhookEvent: event, WebhookSubscription: subscription } = delivery;
+  const body = JSON.stringify({
+    id: event.id,
+    type: event.type,
+    createdAt: event.createdAt,
+    data: event.data,
+  });
+  const timestamp = Math.floor(now.getTime() / 1000);
+
+  const response = await fetch(subscription.url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "X-Webhook-Event": event.type,
+      "X-Webhook-Delivery": String(delivery.id),
+      "X-Webhook-Timestamp": String(timestamp),
+      "X-Webhook-Signature": sign(subscription.secret, timestamp, body),
+    },
+    body,
+    signal: AbortSignal.timeout(TIMEOUT_MS),
+  });
+  if (!response.ok)
+    throw Object.assign(new Error(`Responded with ${response.status}`), {
+      responseStatus: response.status,
+    });
+  return response.status;
+};
+
+/**
+ * Sends up to `limit` due deliveries, oldest first. Each delivery is claimed (its next attempt pushed
+ * past the timeout) before it is sent, failed ones are retried after `backoff` until `maxAttempts`.
+ * @returns {Promise<{ delivered: number, retrying: number, dead: number }>}
+ */
+const dispatchWebhooks = async (
+  sequelize,
+  { now = new Date(), limit = 50, maxAttempts = MAX_ATTEMPTS } = {}
+) => {
+  const { WebhookSubscription, WebhookEvent, WebhookDelivery } =
+    sequelize.models;
+  const summary = { delivered: 0, retrying: 0, dead: 0 };
+
+  const due = await WebhookDelivery.findAll({
+    where: { status: "pending", nextAttemptAt: { [Op.lte]: now } },
+    include: [WebhookEvent, WebhookSubscription.scope("withSecret")],
+    order: [["id", "ASC"]],
+    limit,
+  });
+
+  for (const delivery of due) {
+    const [claimed] = await sequelize.transaction(IMMEDIATE, (t) =>
+      WebhookDelivery.update(
+        { nextAttemptAt: new Date(now.getTime() + TIMEOUT_MS * 2) },
+        {
+          where: {
+            id: delivery.id,
+            status: "pending",
+            attempts: delivery.attempts,
+          },
+          transaction: t,
+        }
+      )
+    );
+    // Claimed by another dispatcher since it was read
+    if (claimed !== 1) continue;
+
+    const attempts = delivery.attempts + 1;
+    try {
+      if (!delivery.WebhookSubscription.active)
+        throw new Error("Subscription is inactive");
+
+      const responseStatus = await deliver(delivery, now);
+      await delivery.update({
+        status: "delivered",
+        attempts,
+        responseStatus,
+        deliveredAt: new Date(),
+        nextAttemptAt: null,
+        lastError: null,
+      });
+      summary.delivered++;
+    } catch (error) {
+      const dead =
+        attempts >= maxAttempts || !delivery.WebhookSubscription.active;
+      await delivery.update({
+        status: dead ? "dead" : "pending",
+        attempts,
+        responseStatus: error.responseStatus || null,
+        nextAttemptAt: dead
+          ? null
+          : new Date(now.getTime() + backoff(attempts)),
+        lastError: String(error.message).slice(0, 255),
+      });
+      summary[dead ? "dead" : "retrying"]++;
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  EVENT_TYPES,
+  MAX_ATTEMPTS,
+  backoff,
+  sign,
+  generateSecret,
+  emitEvent,
+  dispatchWebhooks,
+};